@@ -1,4 +1,308 @@
+const { devices } = require("@playwright/test");
+
 module.exports = {
+  // Device matrix for the visual comparison. Each device is a Playwright
+  // project (see playwright.config.js) with its own screenshots/<name>/
+  // directory and visual_comparison_report_<name>.html. `use` is the
+  // project's settings, so its defaultBrowserType picks the browser.
+  devices: [
+      {
+          name: "Desktop",
+          use: { viewport: { width: 1280, height: 800 } }
+      },
+      {
+          name: "Tablet",
+          use: devices["iPad (gen 7)"]
+      },
+      {
+          name: "Pixel5",
+          use: devices["Pixel 5"]
+      },
+      {
+          name: "iPhone12",
+          use: devices["iPhone 12"]
+      }
+  ],
+  // "compare" captures staging and prod live and diffs them; "regression"
+  // diffs fresh captures of baseline.environment against the approved
+  // baseline (see `npm run approve`). VISUAL_MODE overrides this.
+  mode: process.env.VISUAL_MODE || "compare",
+  // Report-only mode records results without failing any test, for
+  // exploratory runs. REPORT_ONLY=true turns it on.
+  reportOnly: process.env.REPORT_ONLY === "true",
+  baseline: {
+      dir: "baselines",
+      environment: "prod",
+      version: null // null uses the latest approved version
+  },
+  // Run history: each run's results, reports and screenshots are archived
+  // under <dir>/<timestamp>/ and listed in <dir>/index.json, which feeds
+  // visual_comparison_trend.html. A page is flagged flaky once it has flipped
+  // between pass and fail `flakyTransitions` times within the kept runs.
+  // keepScreenshots copies every device's screenshots into each run (gigabytes
+  // over `maxRuns` runs); without it, archived reports show no images.
+  history: {
+      enabled: true,
+      dir: "runs",
+      keepScreenshots: false,
+      maxRuns: 30,
+      flakyTransitions: 2
+  },
+  // Portable report bundle: visual_comparison_report_<device>_bundle.html
+  // embeds thumbnails (WebP, `thumbnailWidth` px wide) and full screenshots
+  // (JPEG) so it can be shared without the screenshots folder. Large runs
+  // can outgrow what one file can hold, so it is opt-in: REPORT_BUNDLE=true.
+  report: {
+      bundle: process.env.REPORT_BUNDLE === "true",
+      thumbnailWidth: 400,
+      fullImageQuality: 80
+  },
+  // Pass/fail policy for the visual comparison. `pixelThreshold` is the
+  // pixelmatch color tolerance (0-1) and `minSimilarity` the percentage of
+  // matching pixels a page needs to pass. The first override whose `pattern`
+  // matches the page path wins; `*` matches anything, including "/".
+  thresholds: {
+      default: {
+          pixelThreshold: 0.1,
+          minSimilarity: 95
+      },
+      overrides: [
+          { pattern: "/articles/*", minSimilarity: 90 },
+          { pattern: "/apply/", minSimilarity: 99.5 }
+      ]
+  },
+  // Performance of every capture: navigation timing, LCP and CLS (read
+  // before the page is scrolled), request count, transfer size and the
+  // `largestResources` biggest responses. A page whose staging capture (the
+  // captured environment in regression mode) exceeds a budget fails when
+  // `failOnBudget` is on; null disables a budget. LCP and load are in ms,
+  // transfer in bytes. THROTTLE=true throttles network and CPU to
+  // `throttling` (Chromium only), which budgets are usually set against.
+  performance: {
+      budgets: {
+          lcp: 2500,
+          cls: 0.1,
+          load: null,
+          transferBytes: 5 * 1024 * 1024,
+          requestCount: 150
+      },
+      failOnBudget: true,
+      largestResources: 5,
+      throttling: {
+          enabled: process.env.THROTTLE === "true",
+          downloadKbps: 1600,
+          uploadKbps: 750,
+          latency: 150,
+          cpuSlowdown: 4
+      }
+  },
+  // Dynamic content kept out of the visual comparison. `global` applies to
+  // every page; each `pages` rule applies when its glob `pattern` matches
+  // the page path, as for thresholds. `hide` selectors are made invisible
+  // before the screenshot, `mask` selectors are painted over and excluded
+  // from the diff, and `regions` are rectangles in screenshot pixels
+  // ({ x, y, width, height }) excluded from the diff. Excluded areas are
+  // hatched in the diff image.
+  ignore: {
+      global: {
+          hide: [
+              "#cookie-notice",
+              "#onetrust-banner-sdk",
+              "iframe[title*='chat' i]",
+              "[id*='livechat' i]"
+          ],
+          mask: [],
+          regions: []
+      },
+      pages: [
+          {
+              pattern: "/articles/*",
+              mask: [".elementor-post-date", ".elementor-post__meta-data"]
+          },
+          {
+              pattern: "/academic-calendar/*",
+              mask: ["table", ".elementor-widget-table"]
+          },
+          {
+              pattern: "/",
+              mask: [".elementor-slides", ".swiper-container"]
+          }
+      ]
+  },
+  // Page stabilization before each screenshot, once the page has been
+  // scrolled for lazy content: wait for images and web fonts (up to
+  // `timeout` ms each), freeze CSS animations, transitions and the caret,
+  // and pause videos and carousels.
+  // `stableScreenshots` ({ attempts, interval }) also waits until two
+  // consecutive screenshots are identical; false skips it. The first
+  // override whose glob `pattern` matches the page path is layered over
+  // `default`, as for thresholds.
+  stabilization: {
+      default: {
+          waitForFonts: true,
+          waitForImages: true,
+          disableAnimations: true,
+          pauseMedia: true,
+          timeout: 10000,
+          stableScreenshots: false
+      },
+      overrides: [
+          { pattern: "/", stableScreenshots: { attempts: 5, interval: 500 } }
+      ]
+  },
+  // Page discovery: crawl sitemaps on both environments in global setup.
+  // The hand-maintained `urls` lists below are only used when discovery is
+  // disabled or finds nothing.
+  discovery: {
+      enabled: true,
+      sitemapPaths: ["/sitemap.xml", "/sitemap_index.xml"],
+      excludePatterns: [/^\/wp-/, /\/feed\/$/, /^\/author\//],
+      crawl: {
+          enabled: false,
+          maxDepth: 2,
+          maxPages: 1000
+      },
+      timeout: 30000,
+      outputFile: "discovered-urls.json"
+  },
+  // Link health: every href/src/srcset/CSS url() on the staging pages is
+  // collected, de-duplicated across the site and checked (HEAD, then GET
+  // when HEAD fails) with at most `concurrency` requests in flight.
+  // Redirects are followed manually so the full chain is reported.
+  linkCheck: {
+      concurrency: 8,
+      timeout: 15000,
+      maxRedirects: 10
+  },
+  // Accessibility: an axe-core audit (rules tagged with one of `tags`) of
+  // every page on staging and prod, in the first device's viewport.
+  // Elements matching `exclude` are skipped. Violations are matched across
+  // the two sides by rule and element, so only those staging introduced
+  // with an impact listed in `failOn` fail the test; the prod backlog is
+  // reported but doesn't.
+  accessibility: {
+      enabled: true,
+      tags: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+      exclude: ["iframe[title*='chat' i]"],
+      failOn: ["critical", "serious"]
+  },
+  // SEO metadata parity: title, description, canonical, robots, Open Graph,
+  // hreflang and JSON-LD of every shared page are compared after staging
+  // URLs are rewritten to the prod host. A robots meta tag blocking indexing
+  // or canonical/og:url/hreflang URLs on one of `stagingHosts` fail the
+  // test; plain differences only fail with `failOnDiff`. JSON-LD keys in
+  // `ignoreStructuredDataKeys` change on every edit and are not compared.
+  metadata: {
+      enabled: true,
+      stagingHosts: ["pantheonsite.io"],
+      ignoreStructuredDataKeys: ["dateModified", "datePublished"],
+      failOnDiff: false
+  },
+  // Third-party and tracking resources, shared by the link check, network
+  // failure detection and screenshot capture. A rule matches a URL by
+  // `domains` (the host or any subdomain), `patterns` (globs over the full
+  // URL; `*` matches anything) or `resourceTypes` (Playwright resource
+  // types, or the link check's kinds: anchor, image, script, stylesheet,
+  // font, media, frame). Matching `deny` resources are neither checked nor
+  // reported; `block` resources are aborted during screenshots so they can't
+  // cause diffs. `allow` wins over both.
+  resources: {
+      allow: {
+          domains: [],
+          patterns: [],
+          resourceTypes: []
+      },
+      deny: {
+          domains: ["bat.bing.com", "doubleclick.net", "google-analytics.com"],
+          patterns: ["*tracking*"],
+          resourceTypes: []
+      },
+      block: {
+          enabled: true,
+          domains: [
+              "google-analytics.com",
+              "googletagmanager.com",
+              "doubleclick.net",
+              "googlesyndication.com",
+              "bat.bing.com",
+              "connect.facebook.net",
+              "hotjar.com",
+              "livechatinc.com",
+              "intercom.io"
+          ],
+          patterns: [],
+          resourceTypes: []
+      }
+  },
+  // Form tests: one test per JSON spec in `specDir` (see forms/*.json), so a
+  // new form only needs a new spec file. Program coverage
+  // (PROGRAM_COVERAGE=true) reads every option of each spec's
+  // `programCoverage.field`, checks the program pages listed in
+  // `programCoverage.pages` preselect or offer their code and, with
+  // PROGRAM_SUBMIT=true, submits once per program. Dry-run submissions only
+  // check the payload; live ones must reach the spec's confirmation, or the
+  // `programCoverage.confirmations[code]` `url`/`text` overriding it for
+  // that program. `programPages` lists the program landing pages (not the
+  // articles under them); those discovered that a spec doesn't map are
+  // listed as unmapped in its report. Negative cases (empty required
+  // fields, and invalid values for fields with a `type`) check the inline
+  // validation messages; spec `validationMessages` override the
+  // Gravity Forms defaults. They have to post to staging, and a value the
+  // form accepts becomes a real lead, so they only run with
+  // NEGATIVE_CASES=true. Submissions are intercepted by default: the POST
+  // never reaches the server, its payload is checked against the filled
+  // values (plus the spec's `query` UTM values, its hidden fields with
+  // `dryRun.expectHiddenFields` and its `dryRun.expect` fields) and the
+  // spec's `dryRun.redirect` page, or a stub confirmation, is shown.
+  // LIVE_SUBMIT=true posts real leads.
+  forms: {
+      specDir: "forms",
+      liveSubmit: process.env.LIVE_SUBMIT === "true",
+      negativeCases: process.env.NEGATIVE_CASES === "true",
+      programCoverage: {
+          enabled: process.env.PROGRAM_COVERAGE === "true",
+          submit: process.env.PROGRAM_SUBMIT === "true",
+          programPages: [
+              "/degrees/business/mba/",
+              "/degrees/business/mba/general/",
+              "/degrees/business/mba/healthcare-management/",
+              "/degrees/business/mba/human-resources/",
+              "/degrees/business/mba/marketing/",
+              "/degrees/business/mba/organizational-leadership/",
+              "/degrees/education/certificates/higher-education-administration-post-masters/",
+              "/degrees/education/certificates/principal-licensure/",
+              "/degrees/education/certificates/superintendent-licensure/",
+              "/degrees/education/certificates/teacher-leader-endorsement/",
+              "/degrees/education/edd/educational-leadership/",
+              "/degrees/education/edd/educational-leadership-superintendent-licensure/",
+              "/degrees/education/edd/health-human-services/",
+              "/degrees/education/edd/higher-ed-leadership-administration/",
+              "/degrees/education/msed/curriculum-instruction-digital-teaching/",
+              "/degrees/education/msed/curriculum-instruction-education-literacy/",
+              "/degrees/education/msed/curriculum-instruction-teacher-leader/",
+              "/degrees/education/msed/educational-administration-principal-licensure/",
+              "/degrees/education/msed/sped-autism/",
+              "/degrees/education/msed/sped-mild-moderate-disabilities/",
+              "/degrees/nursing/msn/agacnp/",
+              "/degrees/nursing/msn/family-nurse-practitioner/",
+              "/degrees/nursing/msn/nursing-education/",
+              "/degrees/nursing/post-masters-certificate/agacnp-advanced-placement/",
+              "/degrees/nursing/post-masters-certificate/agacnp-program/",
+              "/degrees/nursing/post-masters-certificate/fnp-advanced-placement/",
+              "/degrees/nursing/post-masters-certificate/fnp/",
+              "/degrees/nursing/post-masters-certificate/nursing-edu/",
+              "/degrees/nursing/rn-to-bsn/",
+              "/degrees/undergraduate/ba-psychology/",
+              "/degrees/undergraduate/ba-sociology/",
+              "/degrees/undergraduate/bachelor-general-studies/",
+              "/degrees/undergraduate/bachelor-of-applied-science-allied-health/",
+              "/degrees/undergraduate/bachelor-of-applied-science-criminal-justice/",
+              "/degrees/undergraduate/bachelor-of-computer-science/",
+              "/degrees/undergraduate/bfa-graphic-interactive-design/",
+              "/degrees/undergraduate/bsrc-degree-advancement/"
+          ]
+      }
+  },
   staging: {
       baseUrl: "https://live-web-ysu.pantheonsite.io",
       urls: [
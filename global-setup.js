@@ -0,0 +1,37 @@
+const fs = require("fs");
+const config = require("./config.js");
+const { discoverPages } = require("./utils/discovery.js");
+const { clearResults } = require("./utils/results.js");
+const { clearAccessibilityResults } = require("./utils/accessibility.js");
+const { clearMetadataResults } = require("./utils/metadata.js");
+
+// Discover the page list once per run so every test file sees the same URLs.
+// Clearing the records means shards can't share a working directory; see
+// scripts/build-report.js for merging sharded runs.
+module.exports = async () => {
+  clearResults();
+  clearAccessibilityResults();
+  clearMetadataResults();
+
+  const outputFile = config.discovery.outputFile;
+
+  if (!config.discovery.enabled) {
+    if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+    return;
+  }
+
+  try {
+    const pages = await discoverPages(config);
+    fs.writeFileSync(outputFile, JSON.stringify(pages, null, 2));
+    console.log(
+      `Discovered ${pages.shared.length} shared pages, ` +
+        `${pages.missingOnProd.length} missing on prod, ` +
+        `${pages.missingOnStaging.length} missing on staging.`
+    );
+  } catch (error) {
+    console.log(
+      `Page discovery failed, falling back to config.js URLs: ${error.message}`
+    );
+    if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+  }
+};
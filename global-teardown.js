@@ -0,0 +1,65 @@
+const config = require("./config.js");
+const { buildRunResults, writeRunResults } = require("./utils/results.js");
+const {
+  generateHtmlReport,
+  generateIndexReport,
+  generateTrendReport,
+} = require("./utils/report.js");
+const {
+  JUNIT_REPORT_PATH,
+  generateJUnitReport,
+} = require("./utils/junitReport.js");
+const { archiveRun, analyzeTrends } = require("./utils/history.js");
+const { generateReportBundle } = require("./utils/bundle.js");
+const { buildAccessibilityRun } = require("./utils/accessibility.js");
+const { buildMetadataRun } = require("./utils/metadata.js");
+
+// Merge the per-page result records, accessibility audits and metadata
+// comparisons into one JSON results file, then render the per-device HTML
+// reports, the index page and JUnit XML from that file, archive the run for
+// the trend page and, when enabled, build the portable bundles
+module.exports = async () => {
+  const merged = buildRunResults(config);
+  const accessibility = buildAccessibilityRun();
+  const metadata = buildMetadataRun();
+  if (merged.devices.length === 0 && !accessibility && !metadata) return;
+
+  const run = writeRunResults({ ...merged, accessibility, metadata });
+
+  run.devices.forEach((deviceRun) => {
+    generateHtmlReport(run, deviceRun);
+    console.log(
+      `Wrote visual_comparison_report_${deviceRun.name}.html (${deviceRun.summary.total} pages).`
+    );
+  });
+
+  generateIndexReport(run);
+  generateJUnitReport(run);
+
+  if (config.history.enabled) {
+    const index = archiveRun(run, config.history, [
+      ...run.devices.map(({ name }) => `visual_comparison_report_${name}.html`),
+      "visual_comparison_report_index.html",
+      JUNIT_REPORT_PATH,
+    ]);
+    generateTrendReport(index, analyzeTrends(index, config.history));
+  }
+
+  // Last, so a bundle too large to build can't cost the other reports
+  if (config.report.bundle) {
+    for (const deviceRun of run.devices) {
+      try {
+        const bundlePath = await generateReportBundle(
+          run,
+          deviceRun,
+          config.report
+        );
+        console.log(`Wrote ${bundlePath}.`);
+      } catch (error) {
+        console.log(
+          `Could not write the ${deviceRun.name} report bundle: ${error.message}`
+        );
+      }
+    }
+  }
+};
@@ -1,5 +1,6 @@
 // @ts-check
 import { defineConfig, devices } from '@playwright/test';
+import config from './config.js';
 
 /**
  * Read environment variables from file.
@@ -14,6 +15,10 @@ import { defineConfig, devices } from '@playwright/test';
  */
 export default defineConfig({
   testDir: './tests',
+  /* Discover the page list from sitemaps before any test file is loaded. */
+  globalSetup: './global-setup.js',
+  /* Merge per-page visual comparison results into the HTML reports. */
+  globalTeardown: './global-teardown.js',
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -33,42 +38,20 @@ export default defineConfig({
     trace: 'on-first-retry',
   },
 
-  /* Configure projects for major browsers */
+  /* One project per entry of config.devices, in that device's browser, for
+     the tests tagged @device (screenshots and forms), and one "site" project
+     for the checks that don't depend on the browser or device. */
   projects: [
+    ...config.devices.map((device) => ({
+      name: device.name,
+      use: device.use,
+      grep: /@device/,
+    })),
     {
-      name: 'chromium',
+      name: 'site',
       use: { ...devices['Desktop Chrome'] },
+      grepInvert: /@device/,
     },
-
-    {
-      name: 'firefox',
-      use: { ...devices['Desktop Firefox'] },
-    },
-
-    {
-      name: 'webkit',
-      use: { ...devices['Desktop Safari'] },
-    },
-
-    /* Test against mobile viewports. */
-    // {
-    //   name: 'Mobile Chrome',
-    //   use: { ...devices['Pixel 5'] },
-    // },
-    // {
-    //   name: 'Mobile Safari',
-    //   use: { ...devices['iPhone 12'] },
-    // },
-
-    /* Test against branded browsers. */
-    // {
-    //   name: 'Microsoft Edge',
-    //   use: { ...devices['Desktop Edge'], channel: 'msedge' },
-    // },
-    // {
-    //   name: 'Google Chrome',
-    //   use: { ...devices['Desktop Chrome'], channel: 'chrome' },
-    // },
   ],
 
   /* Run your local dev server before starting the tests */
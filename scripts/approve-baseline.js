@@ -0,0 +1,63 @@
+// Promote the current screenshots to a new approved baseline version.
+//
+//   npm run approve -- [--device=Desktop] [--env=prod]
+//
+// Without --device every device in config.devices is approved; --env
+// defaults to config.baseline.environment.
+const config = require("../config.js");
+const { approveBaseline } = require("../utils/baseline.js");
+const { loadPages } = require("../utils/discovery.js");
+
+// Parse --key=value arguments
+function parseArgs(argv) {
+  return Object.fromEntries(
+    argv
+      .filter((arg) => arg.startsWith("--"))
+      .map((arg) => {
+        const [key, ...value] = arg.slice(2).split("=");
+        return [key, value.join("=")];
+      })
+  );
+}
+
+const args = parseArgs(process.argv.slice(2));
+const env = args.env || config.baseline.environment;
+
+if (!config[env]) {
+  console.error(`Unknown environment "${env}". Use "staging" or "prod".`);
+  process.exit(1);
+}
+
+const devices = args.device
+  ? config.devices.filter((device) => device.name === args.device)
+  : config.devices;
+
+if (devices.length === 0) {
+  console.error(`Unknown device "${args.device}".`);
+  process.exit(1);
+}
+
+const pages = loadPages(config);
+const pagePaths = [
+  ...pages.shared,
+  ...(env === "prod" ? pages.missingOnStaging : pages.missingOnProd),
+];
+
+devices.forEach((device) => {
+  const manifest = approveBaseline({
+    baselineConfig: config.baseline,
+    device,
+    env,
+    baseUrl: config[env].baseUrl,
+    pagePaths,
+  });
+
+  if (manifest) {
+    console.log(
+      `Approved ${Object.keys(manifest.entries).length} ${env} screenshots ` +
+        `for ${device.name} as baseline ${manifest.version}.`
+    );
+  } else {
+    console.log(`No ${env} screenshots found for ${device.name}; skipped.`);
+  }
+});
@@ -0,0 +1,22 @@
+// Rebuild the JSON, JUnit and HTML reports (and archive the run) from the
+// per-page records already on disk, without running any test.
+//
+//   npm run report
+//
+// This is how a sharded run is merged. Each shard's global setup clears
+// visual-results/, accessibility-results/ and metadata-results/, and its
+// teardown reports only its own pages, so shards must not share a working
+// directory: run each --shard=i/n in its own checkout, copy those three
+// directories and screenshots/ from every shard into one checkout, then run
+// this there.
+const globalTeardown = require("../global-teardown.js");
+const { listResultDevices } = require("../utils/results.js");
+
+if (listResultDevices().length === 0) {
+  console.log("No records in visual-results/; only audits will be reported.");
+}
+
+globalTeardown().catch((error) => {
+  console.error(`Could not build the reports: ${error.message}`);
+  process.exit(1);
+});
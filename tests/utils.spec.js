@@ -0,0 +1,741 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const http = require("http");
+const { PNG } = require("pngjs");
+const { compareScreenshots } = require("../utils/compare.js");
+const { parseSitemap, configuredPages } = require("../utils/discovery.js");
+const { resolveIgnoreRules, excludeRegions } = require("../utils/masking.js");
+const {
+  globToRegExp,
+  resolveThreshold,
+  resultStatus,
+} = require("../utils/thresholds.js");
+const { renderTestCase } = require("../utils/junitReport.js");
+const { analyzeTrends } = require("../utils/history.js");
+const { escapeHtml, raw, htmlTemplate } = require("../utils/html.js");
+const { checkUrl } = require("../utils/linkCheck.js");
+const {
+  matchesRule,
+  isExcludedResource,
+  isBlockedResource,
+} = require("../utils/resources.js");
+const { negativeCases } = require("../utils/formValidation.js");
+const { parseFormBody, payloadProblems } = require("../utils/dryRun.js");
+const { accessibilityDelta } = require("../utils/accessibility.js");
+const { diffMetadata } = require("../utils/metadata.js");
+const { diffLines } = require("../utils/content.js");
+const {
+  budgetViolations,
+  statusWithBudgets,
+} = require("../utils/performance.js");
+
+// Unit tests for the pure helpers. They use no page or browser and run in
+// the "site" project:
+//   npx playwright test tests/utils.spec.js
+
+// Write a solid white PNG, with `paint(png)` applied, to the test's output
+// directory
+function writePng(name, width, height, paint = () => {}) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  paint(png);
+  const pngPath = test.info().outputPath(name);
+  fs.writeFileSync(pngPath, PNG.sync.write(png));
+  return pngPath;
+}
+
+// Paint a rectangle black
+function paintBlack(png, { x, y, width, height }) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      png.data.fill(
+        0,
+        (row * png.width + col) * 4,
+        (row * png.width + col) * 4 + 3
+      );
+    }
+  }
+}
+
+test.describe("compareScreenshots", () => {
+  test("pads the shorter image and counts the padding as mismatched", async () => {
+    const baseline = writePng("baseline.png", 10, 20);
+    const current = writePng("current.png", 10, 30);
+
+    const result = await compareScreenshots(
+      baseline,
+      current,
+      test.info().outputPath("diff.png"),
+      { segmentHeight: 10 }
+    );
+
+    expect(result.dimensions).toEqual({
+      staging: { width: 10, height: 20 },
+      prod: { width: 10, height: 30 },
+    });
+    expect(result.similarityPercentage).toBeCloseTo(200 / 3);
+    expect(
+      result.segments.map(({ top, bottom, mismatchedPixels }) => ({
+        top,
+        bottom,
+        mismatchedPixels,
+      }))
+    ).toEqual([
+      { top: 0, bottom: 10, mismatchedPixels: 0 },
+      { top: 10, bottom: 20, mismatchedPixels: 0 },
+      { top: 20, bottom: 30, mismatchedPixels: 100 },
+    ]);
+    expect(PNG.sync.read(fs.readFileSync(baseline)).height).toBe(20);
+  });
+
+  test("counts mismatches in the band they fall in", async () => {
+    const change = { x: 2, y: 12, width: 3, height: 2 };
+    const result = await compareScreenshots(
+      writePng("baseline.png", 10, 25),
+      writePng("current.png", 10, 25, (png) => paintBlack(png, change)),
+      test.info().outputPath("diff.png"),
+      { segmentHeight: 10 }
+    );
+
+    expect(result.segments.map((segment) => segment.mismatchedPixels)).toEqual([
+      0, 6, 0,
+    ]);
+    expect(result.segments[1].similarityPercentage).toBeCloseTo(94);
+    expect(result.segments[2].bottom).toBe(25);
+    expect(result.similarityPercentage).toBeCloseTo((244 / 250) * 100);
+  });
+
+  test("never counts pixels inside ignored regions", async () => {
+    const change = { x: 2, y: 2, width: 3, height: 3 };
+    const result = await compareScreenshots(
+      writePng("baseline.png", 10, 10),
+      writePng("current.png", 10, 10, (png) => paintBlack(png, change)),
+      test.info().outputPath("diff.png"),
+      { segmentHeight: 10, ignoreRegions: [change] }
+    );
+
+    expect(result.similarityPercentage).toBe(100);
+    expect(result.ignoredRegions).toBe(1);
+  });
+
+  test("reports a missing file as an error", async () => {
+    const result = await compareScreenshots(
+      test.info().outputPath("absent.png"),
+      writePng("current.png", 10, 10),
+      test.info().outputPath("diff.png"),
+      { segmentHeight: 10 }
+    );
+
+    expect(result).toEqual({ similarityPercentage: "Error", segments: [] });
+  });
+});
+
+test.describe("parseSitemap", () => {
+  test("splits a sitemap index into child sitemaps", () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <sitemapindex>
+        <sitemap><loc>https://example.edu/page-sitemap.xml</loc></sitemap>
+        <sitemap><loc> https://example.edu/post-sitemap.xml </loc></sitemap>
+      </sitemapindex>`;
+
+    expect(parseSitemap(xml)).toEqual({
+      sitemaps: [
+        "https://example.edu/page-sitemap.xml",
+        "https://example.edu/post-sitemap.xml",
+      ],
+      urls: [],
+    });
+  });
+
+  test("reads page URLs, unwrapping CDATA and decoding entities", () => {
+    const xml = `<urlset>
+        <url><loc>https://example.edu/about/</loc><lastmod>2025-01-01</lastmod></url>
+        <url><loc><![CDATA[https://example.edu/a-z/]]></loc></url>
+        <url><loc>https://example.edu/?p=1&amp;q=2</loc></url>
+      </urlset>`;
+
+    expect(parseSitemap(xml)).toEqual({
+      sitemaps: [],
+      urls: [
+        "https://example.edu/about/",
+        "https://example.edu/a-z/",
+        "https://example.edu/?p=1&q=2",
+      ],
+    });
+  });
+});
+
+test.describe("configuredPages", () => {
+  test("splits the config lists and drops off-site prod URLs", () => {
+    expect(
+      configuredPages({
+        staging: { urls: ["/", "/about/"] },
+        prod: {
+          baseUrl: "https://example.edu",
+          urls: [
+            "https://example.edu/",
+            "https://example.edu/news/",
+            "https://other.edu/about/",
+          ],
+        },
+      })
+    ).toEqual({
+      shared: ["/"],
+      missingOnProd: ["/about/"],
+      missingOnStaging: ["/news/"],
+      source: "config",
+    });
+  });
+});
+
+test.describe("resolveIgnoreRules", () => {
+  test("adds the rules of every page pattern that matches to the global ones", () => {
+    const ignoreConfig = {
+      global: { hide: [".chat-widget"], mask: [".clock"] },
+      pages: [
+        { pattern: "/articles/*", mask: [".date"] },
+        {
+          pattern: "/articles/2024/*",
+          regions: [{ x: 0, y: 0, width: 5, height: 5 }],
+        },
+        { pattern: "/about/", hide: [".hero video"] },
+      ],
+    };
+
+    expect(resolveIgnoreRules(ignoreConfig, "/articles/2024/news/")).toEqual({
+      hide: [".chat-widget"],
+      mask: [".clock", ".date"],
+      regions: [{ x: 0, y: 0, width: 5, height: 5 }],
+    });
+    expect(resolveIgnoreRules(undefined, "/")).toEqual({
+      hide: [],
+      mask: [],
+      regions: [],
+    });
+  });
+});
+
+test.describe("excludeRegions", () => {
+  test("copies the source into the target inside regions, clipped to the image", () => {
+    const source = new PNG({ width: 4, height: 4 });
+    const target = new PNG({ width: 4, height: 4 });
+    source.data.fill(0);
+    target.data.fill(255);
+
+    excludeRegions(source, target, [{ x: 2, y: 2, width: 5, height: 5 }]);
+
+    const black = [];
+    for (let offset = 0; offset < target.data.length; offset += 4) {
+      if (target.data[offset] === 0) black.push(offset / 4);
+    }
+    expect(black).toEqual([10, 11, 14, 15]);
+  });
+});
+
+test.describe("globToRegExp", () => {
+  test("matches any run of characters, slashes included, for *", () => {
+    const pattern = globToRegExp("/articles/*");
+
+    expect(pattern.test("/articles/")).toBe(true);
+    expect(pattern.test("/articles/2024/page/2/")).toBe(true);
+    expect(pattern.test("/news/articles/")).toBe(false);
+  });
+
+  test("matches everything else literally and in full", () => {
+    expect(globToRegExp("/").test("/")).toBe(true);
+    expect(globToRegExp("/").test("/about/")).toBe(false);
+    expect(globToRegExp("/a.b/").test("/axb/")).toBe(false);
+    expect(globToRegExp("/(x)/").test("/(x)/")).toBe(true);
+  });
+});
+
+test.describe("resolveThreshold", () => {
+  test("layers the first matching override over the defaults", () => {
+    const thresholds = {
+      default: { pixelThreshold: 0.1, minSimilarity: 95 },
+      overrides: [
+        { pattern: "/articles/*", minSimilarity: 80 },
+        { pattern: "/articles/page/*", minSimilarity: 60 },
+      ],
+    };
+
+    expect(resolveThreshold(thresholds, "/articles/page/2/")).toEqual({
+      rule: "/articles/*",
+      pixelThreshold: 0.1,
+      minSimilarity: 80,
+    });
+    expect(resolveThreshold(thresholds, "/about/")).toEqual({
+      rule: "default",
+      pixelThreshold: 0.1,
+      minSimilarity: 95,
+    });
+  });
+});
+
+test.describe("resultStatus", () => {
+  const thresholds = { default: { minSimilarity: 95 } };
+
+  test("fails a page below its own rule's minimum", () => {
+    expect(
+      resultStatus(
+        { similarityPercentage: 90, threshold: { minSimilarity: 85 } },
+        thresholds
+      )
+    ).toBe("pass");
+    expect(resultStatus({ similarityPercentage: 94.99 }, thresholds)).toBe(
+      "fail"
+    );
+    expect(resultStatus({ similarityPercentage: 95 }, thresholds)).toBe("pass");
+  });
+
+  test("tells missing pages from errors", () => {
+    expect(
+      resultStatus({ similarityPercentage: "Missing on prod" }, thresholds)
+    ).toBe("missing");
+    expect(resultStatus({ similarityPercentage: "Error" }, thresholds)).toBe(
+      "error"
+    );
+  });
+});
+
+test.describe("renderTestCase", () => {
+  test("reports a regression as a failure with the page's minimum", () => {
+    expect(
+      renderTestCase("Desktop", {
+        pagePath: "/a&b/",
+        status: "fail",
+        visualStatus: "fail",
+        similarityPercentage: 90.123,
+        threshold: { minSimilarity: 95 },
+        timings: { total: 1500 },
+      })
+    ).toBe(
+      '    <testcase classname="visual.Desktop" name="/a&amp;b/" time="1.500">' +
+        '<failure message="Similarity 90.12% below 95%" type="VisualRegression"/>' +
+        "</testcase>"
+    );
+  });
+
+  test("maps errors to <error> and missing pages to <skipped>", () => {
+    expect(
+      renderTestCase("Desktop", {
+        pagePath: "/",
+        status: "error",
+        similarityPercentage: "Error",
+        error: 'Timeout waiting for "load"',
+      })
+    ).toContain(
+      '<error message="Timeout waiting for &quot;load&quot;" type="CaptureError"/>'
+    );
+    expect(
+      renderTestCase("Desktop", {
+        pagePath: "/new/",
+        status: "missing",
+        similarityPercentage: "Missing on prod",
+      })
+    ).toContain('<skipped message="Missing on prod"/>');
+  });
+});
+
+test.describe("analyzeTrends", () => {
+  const run = (id, status) => ({
+    id,
+    generatedAt: `2025-01-0${id}T00:00:00.000Z`,
+    devices: { Desktop: { pages: { "/": { status } } } },
+  });
+
+  test("finds the start of the failing streak", () => {
+    const index = {
+      runs: [run(1, "fail"), run(2, "pass"), run(3, "fail"), run(4, "fail")],
+    };
+    const [trend] = analyzeTrends(index, { flakyTransitions: 5 }).Desktop;
+
+    expect(trend.pagePath).toBe("/");
+    expect(trend.latest.status).toBe("fail");
+    expect(trend.firstSeenFailing).toBe("2025-01-03T00:00:00.000Z");
+    expect(trend.series).toHaveLength(4);
+    expect(trend.latest.keptScreenshots).toBe(false);
+  });
+
+  test("flags pages that flip often, skipping errors and missing runs", () => {
+    const index = {
+      runs: [
+        run(1, "pass"),
+        run(2, "error"),
+        run(3, "fail"),
+        run(4, "missing"),
+        run(5, "pass"),
+      ],
+    };
+    const [trend] = analyzeTrends(index, { flakyTransitions: 2 }).Desktop;
+
+    expect(trend.transitions).toBe(2);
+    expect(trend.flaky).toBe(true);
+    expect(trend.firstSeenFailing).toBe(null);
+  });
+});
+
+test.describe("htmlTemplate", () => {
+  test("escapes every character that could break out of text or an attribute", () => {
+    expect(escapeHtml(`<a href="x" title='y'>&</a>`)).toBe(
+      "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+    );
+  });
+
+  test("escapes interpolations but not nested templates or raw markup", () => {
+    const pagePath = '/search/?q="><script>';
+    const cell = htmlTemplate`<td>${pagePath}</td>`;
+    const trusted = raw("<td></td>");
+    const row = htmlTemplate`<tr data-path="${pagePath}">${cell}${trusted}</tr>`;
+
+    expect(row.toString()).toBe(
+      '<tr data-path="/search/?q=&quot;&gt;&lt;script&gt;">' +
+        "<td>/search/?q=&quot;&gt;&lt;script&gt;</td><td></td></tr>"
+    );
+  });
+
+  test("joins arrays and drops null, undefined and false", () => {
+    const items = ["<b>", htmlTemplate`<i>${1}</i>`];
+
+    expect(
+      htmlTemplate`${items}${null}${undefined}${false}${0}`.toString()
+    ).toBe("&lt;b&gt;<i>1</i>0");
+  });
+});
+
+test.describe("checkUrl", () => {
+  const options = { timeout: 5000, maxRedirects: 3 };
+  let server;
+  let origin;
+
+  // /old/ redirects to /new/, /new/ refuses HEAD like many CDNs do and
+  // anything else is a 404
+  test.beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      if (request.url === "/old/") {
+        response.writeHead(301, { location: "/new/" });
+      } else if (request.url === "/new/") {
+        response.writeHead(request.method === "HEAD" ? 405 : 200);
+      } else {
+        response.writeHead(404);
+      }
+      response.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("follows redirects hop by hop and falls back to GET", async () => {
+    expect(await checkUrl(`${origin}/old/`, options)).toEqual({
+      ok: true,
+      status: 200,
+      method: "GET",
+      redirects: [{ url: `${origin}/old/`, status: 301 }],
+      finalUrl: `${origin}/new/`,
+    });
+  });
+
+  test("reports a page missing on both HEAD and GET as broken", async () => {
+    expect(await checkUrl(`${origin}/gone/`, options)).toMatchObject({
+      ok: false,
+      status: 404,
+      method: "GET",
+      redirects: [],
+    });
+  });
+
+  test("gives up after maxRedirects", async () => {
+    const result = await checkUrl(`${origin}/old/`, {
+      ...options,
+      maxRedirects: 0,
+    });
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toBe("More than 0 redirects");
+  });
+});
+
+test.describe("resource rules", () => {
+  const resourceConfig = {
+    allow: { domains: ["maps.googleapis.com"], patterns: [] },
+    deny: {
+      domains: ["googleapis.com", "doubleclick.net"],
+      patterns: ["*/wp-json/*"],
+      resourceTypes: ["media"],
+    },
+    block: { enabled: true, domains: ["googleapis.com"] },
+  };
+
+  test("matches a rule's domains, subdomains included, patterns and types", () => {
+    const { deny } = resourceConfig;
+
+    expect(matchesRule(deny, "https://ad.doubleclick.net/x.js")).toBe(true);
+    expect(matchesRule(deny, "https://notdoubleclick.net/x.js")).toBe(false);
+    expect(matchesRule(deny, "https://ysu.edu/wp-json/oembed/")).toBe(true);
+    expect(matchesRule(deny, "https://ysu.edu/intro.mp4", "media")).toBe(true);
+    expect(matchesRule(deny, "not a url", "media")).toBe(true);
+    expect(matchesRule(undefined, "https://ysu.edu/")).toBe(false);
+  });
+
+  test("lets allow win over deny and block", () => {
+    const allowed = "https://maps.googleapis.com/maps/api/js";
+    const denied = "https://fonts.googleapis.com/css";
+
+    expect(isExcludedResource(resourceConfig, allowed)).toBe(false);
+    expect(isBlockedResource(resourceConfig, allowed)).toBe(false);
+    expect(isExcludedResource(resourceConfig, denied)).toBe(true);
+    expect(isBlockedResource(resourceConfig, denied)).toBe(true);
+
+    const blockingOff = { ...resourceConfig, block: { enabled: false } };
+    expect(isBlockedResource(blockingOff, denied)).toBe(false);
+  });
+});
+
+test.describe("negativeCases", () => {
+  test("empties each required field and tries the invalid values of each type", () => {
+    const spec = {
+      fields: [
+        { name: "firstName", required: true, type: "name" },
+        { name: "email", required: true, type: "email" },
+        { name: "howDidYouHear", action: "select" },
+      ],
+      validationMessages: { email: "Please enter a valid email" },
+    };
+
+    expect(
+      negativeCases(spec).map(({ name, field, value, expectedMessage }) => ({
+        name,
+        field: field.name,
+        value: value.length > 40 ? `${value.length} chars` : value,
+        expectedMessage,
+      }))
+    ).toEqual([
+      {
+        name: "empty firstName",
+        field: "firstName",
+        value: "",
+        expectedMessage: "This field is required.",
+      },
+      {
+        name: "overly long name in firstName",
+        field: "firstName",
+        value: "300 chars",
+        expectedMessage: null,
+      },
+      {
+        name: "script injection in firstName",
+        field: "firstName",
+        value: '<script>alert("xss")</script>',
+        expectedMessage: null,
+      },
+      {
+        name: "empty email",
+        field: "email",
+        value: "",
+        expectedMessage: "This field is required.",
+      },
+      {
+        name: "malformed email in email",
+        field: "email",
+        value: "not-an-email",
+        expectedMessage: "Please enter a valid email",
+      },
+    ]);
+  });
+});
+
+test.describe("dry-run payloads", () => {
+  test("parses urlencoded bodies", () => {
+    expect(
+      parseFormBody(
+        "application/x-www-form-urlencoded",
+        Buffer.from("input_1=Jane&input_2=a%40b.edu&gform_submit=8")
+      )
+    ).toEqual({ input_1: "Jane", input_2: "a@b.edu", gform_submit: "8" });
+    expect(parseFormBody("application/x-www-form-urlencoded", null)).toEqual(
+      {}
+    );
+  });
+
+  test("parses multipart bodies without their file parts", () => {
+    const body = [
+      "--XyZ",
+      'Content-Disposition: form-data; name="input_1"',
+      "",
+      "Jane",
+      "--XyZ",
+      'Content-Disposition: form-data; name="input_9"; filename="cv.pdf"',
+      "Content-Type: application/pdf",
+      "",
+      "%PDF",
+      "--XyZ",
+      'Content-Disposition: form-data; name="gform_submit"',
+      "",
+      "8",
+      "--XyZ--",
+      "",
+    ].join("\r\n");
+
+    expect(
+      parseFormBody('multipart/form-data; boundary="XyZ"', Buffer.from(body))
+    ).toEqual({ input_1: "Jane", gform_submit: "8" });
+  });
+
+  test("lists every expected value the payload is missing", () => {
+    const spec = {
+      query: { utm_source: "newsletter", utm_medium: "email" },
+      dryRun: {
+        expect: { input_20: "Web" },
+        expectQueryInPayload: true,
+      },
+    };
+    const submission = {
+      payload: { input_1: "Jane", input_2: "", input_21: "newsletter" },
+    };
+
+    expect(
+      payloadProblems(spec, submission, { input_1: "Jane", input_2: "a@b.edu" })
+    ).toEqual([
+      'input_2: expected "a@b.edu", posted ""',
+      'input_20: expected "Web", posted "undefined"',
+      "utm_medium=email was not posted",
+    ]);
+    expect(payloadProblems(spec, undefined, {})).toEqual([
+      "no submission was intercepted",
+    ]);
+  });
+});
+
+test.describe("accessibilityDelta", () => {
+  const violation = (rule, selector) => ({
+    rule,
+    selector,
+    impact: "serious",
+  });
+
+  test("splits violations into introduced, existing and fixed", () => {
+    const staging = [
+      violation("color-contrast", ".hero a"),
+      violation("image-alt", "img.logo"),
+    ];
+    const prod = [
+      violation("image-alt", "img.logo"),
+      violation("label", "#search"),
+    ];
+
+    expect(accessibilityDelta(staging, prod)).toEqual({
+      introduced: [staging[0]],
+      existing: [staging[1]],
+      fixed: [prod[1]],
+    });
+  });
+
+  test("counts every staging violation as new without a prod audit", () => {
+    const staging = [violation("image-alt", "img.logo")];
+
+    expect(accessibilityDelta(staging, null)).toEqual({
+      introduced: staging,
+      existing: [],
+      fixed: [],
+    });
+  });
+});
+
+test.describe("diffMetadata", () => {
+  const metadata = (overrides = {}) => ({
+    title: "About | YSU",
+    description: "About the university",
+    canonical: "https://ysu.edu/about/",
+    robots: null,
+    openGraph: { "og:url": "https://ysu.edu/about/" },
+    hreflang: {},
+    structuredData: [{ "@type": "WebPage", dateModified: "2025-01-01" }],
+    ...overrides,
+  });
+  const options = {
+    stagingOrigin: "https://staging.example.io",
+    prodOrigin: "https://ysu.edu",
+    ignoreStructuredDataKeys: ["dateModified"],
+  };
+
+  test("compares staging URLs as if they were on prod", () => {
+    const staging = metadata({
+      canonical: "https://staging.example.io/about/",
+      openGraph: { "og:url": "https://staging.example.io/about/" },
+      structuredData: [{ "@type": "WebPage", dateModified: "2025-02-02" }],
+    });
+
+    expect(diffMetadata(staging, metadata(), options)).toEqual([]);
+  });
+
+  test("reports changed fields and structured data by type", () => {
+    const staging = metadata({
+      title: "About Us | YSU",
+      openGraph: {},
+      structuredData: [{ "@type": "AboutPage" }],
+    });
+
+    expect(diffMetadata(staging, metadata(), options)).toEqual([
+      { field: "title", staging: "About Us | YSU", prod: "About | YSU" },
+      { field: "og:url", staging: null, prod: "https://ysu.edu/about/" },
+      { field: "structured data", staging: "AboutPage", prod: "WebPage" },
+    ]);
+  });
+});
+
+test.describe("diffLines", () => {
+  test("keeps the common prefix and suffix and lists removals first", () => {
+    expect(diffLines("a\nb\nc\nd", "a\nx\nc\nd")).toEqual([
+      { type: "same", text: "a" },
+      { type: "removed", text: "b" },
+      { type: "added", text: "x" },
+      { type: "same", text: "c" },
+      { type: "same", text: "d" },
+    ]);
+  });
+
+  test("aligns moved blocks on their common lines", () => {
+    expect(diffLines("a\nb\nc", "b\nc\nd")).toEqual([
+      { type: "removed", text: "a" },
+      { type: "same", text: "b" },
+      { type: "same", text: "c" },
+      { type: "added", text: "d" },
+    ]);
+  });
+
+  test("reports identical texts as unchanged", () => {
+    expect(
+      diffLines("a\nb", "a\nb").every((line) => line.type === "same")
+    ).toBe(true);
+  });
+});
+
+test.describe("performance budgets", () => {
+  test("lists the measured metrics over their budget", () => {
+    expect(
+      budgetViolations(
+        { lcp: 3100, cls: null, load: 1800 },
+        { lcp: 2500, cls: 0.1, load: null }
+      )
+    ).toEqual([{ metric: "lcp", value: 3100, budget: 2500 }]);
+    expect(budgetViolations(null, { lcp: 2500 })).toEqual([]);
+  });
+
+  test("fails a visual pass over budget only with failOnBudget", () => {
+    const overBudget = {
+      budgetViolations: [{ metric: "lcp", value: 3100, budget: 2500 }],
+    };
+
+    const enforced = { failOnBudget: true };
+    const reported = { failOnBudget: false };
+
+    expect(statusWithBudgets("pass", overBudget, enforced)).toBe("fail");
+    expect(statusWithBudgets("pass", overBudget, reported)).toBe("pass");
+    expect(statusWithBudgets("error", overBudget, enforced)).toBe("error");
+    expect(statusWithBudgets("pass", {}, enforced)).toBe("pass");
+  });
+});
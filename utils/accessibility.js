@@ -0,0 +1,123 @@
+const fs = require("fs");
+const { default: AxeBuilder } = require("@axe-core/playwright");
+const {
+  clearPageRecords,
+  writePageRecord,
+  readPageRecords,
+} = require("./results.js");
+
+// Per-page accessibility records, one JSON file per page
+const ACCESSIBILITY_RESULTS_DIR = "accessibility-results";
+
+// Merged accessibility results of a whole run
+const ACCESSIBILITY_RUN_PATH = "accessibility_results.json";
+
+// axe-core impact levels, most severe first
+const IMPACTS = ["critical", "serious", "moderate", "minor"];
+
+// Remove records left over from a previous run
+function clearAccessibilityResults() {
+  clearPageRecords(ACCESSIBILITY_RESULTS_DIR);
+}
+
+// Run axe-core on the loaded page and flatten its violations to one entry
+// per rule and element, sorted by impact
+async function auditPage(page, options = {}) {
+  let builder = new AxeBuilder({ page }).withTags(options.tags || []);
+  (options.exclude || []).forEach((selector) => {
+    builder = builder.exclude(selector);
+  });
+  const { violations } = await builder.analyze();
+
+  return violations
+    .flatMap((violation) =>
+      violation.nodes.map((node) => ({
+        rule: violation.id,
+        impact: violation.impact || node.impact || "minor",
+        description: violation.help,
+        helpUrl: violation.helpUrl,
+        wcag: violation.tags.filter((tag) => /^wcag\d/.test(tag)),
+        selector: node.target.flat().join(" "),
+      }))
+    )
+    .sort(
+      (a, b) =>
+        IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact) ||
+        a.rule.localeCompare(b.rule)
+    );
+}
+
+// Violations identify as rule + element, so the same problem on both sides
+// matches even when the order differs
+function violationKey(violation) {
+  return `${violation.rule} ${violation.selector}`;
+}
+
+// Split staging violations into those prod shares (the existing backlog) and
+// those the staging deploy introduced, and list what staging fixed. Without
+// a prod audit every staging violation counts as new.
+function accessibilityDelta(staging, prod) {
+  const prodKeys = new Set((prod || []).map(violationKey));
+  const stagingKeys = new Set(staging.map(violationKey));
+
+  return {
+    introduced: staging.filter((v) => !prodKeys.has(violationKey(v))),
+    existing: staging.filter((v) => prodKeys.has(violationKey(v))),
+    fixed: (prod || []).filter((v) => !stagingKeys.has(violationKey(v))),
+  };
+}
+
+// Count violations by impact level
+function countByImpact(violations) {
+  return Object.fromEntries(
+    IMPACTS.map((impact) => [
+      impact,
+      violations.filter((v) => v.impact === impact).length,
+    ])
+  );
+}
+
+// Write the audit of a single page
+function writeAccessibilityResult(record) {
+  writePageRecord(ACCESSIBILITY_RESULTS_DIR, record);
+}
+
+// Merge every per-page audit into one run document with totals by impact
+// for each side and for the introduced violations. Pages whose delta is
+// unknown (prod failed to load) are counted apart. Returns null when no page
+// was audited.
+function buildAccessibilityRun() {
+  const pages = readPageRecords(ACCESSIBILITY_RESULTS_DIR);
+  if (pages.length === 0) return null;
+
+  const all = (pick) => pages.flatMap((record) => pick(record) || []);
+  const run = {
+    generatedAt: new Date().toISOString(),
+    pages,
+    summary: {
+      pages: pages.length,
+      staging: countByImpact(all((record) => record.staging)),
+      prod: countByImpact(all((record) => record.prod)),
+      introduced: countByImpact(
+        all((record) => record.delta && record.delta.introduced)
+      ),
+      fixed: all((record) => record.delta && record.delta.fixed).length,
+      unknown: pages.filter((record) => !record.delta).length,
+    },
+  };
+
+  fs.writeFileSync(ACCESSIBILITY_RUN_PATH, JSON.stringify(run, null, 2));
+  return JSON.parse(fs.readFileSync(ACCESSIBILITY_RUN_PATH, "utf8"));
+}
+
+module.exports = {
+  ACCESSIBILITY_RESULTS_DIR,
+  ACCESSIBILITY_RUN_PATH,
+  IMPACTS,
+  clearAccessibilityResults,
+  auditPage,
+  accessibilityDelta,
+  countByImpact,
+  writeAccessibilityResult,
+  buildAccessibilityRun,
+};
@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { sanitizePagePath } = require("./results.js");
+
+// Directory holding every approved version for a device and environment
+function baselineRoot(baselineConfig, deviceName, env) {
+  return path.join(baselineConfig.dir, deviceName, env);
+}
+
+// Approved versions, oldest first (version names are sortable timestamps)
+function listVersions(baselineConfig, deviceName, env) {
+  const root = baselineRoot(baselineConfig, deviceName, env);
+  if (!fs.existsSync(root)) return [];
+
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// Load the manifest of the configured version, or the latest one
+function loadManifest(baselineConfig, deviceName, env) {
+  const version =
+    baselineConfig.version ||
+    listVersions(baselineConfig, deviceName, env).pop();
+  if (!version) return null;
+
+  const manifestPath = path.join(
+    baselineRoot(baselineConfig, deviceName, env),
+    version,
+    "manifest.json"
+  );
+  if (!fs.existsSync(manifestPath)) return null;
+
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Absolute path of a page's baseline image, or null if it was never approved
+function baselineImagePath(baselineConfig, manifest, pagePath) {
+  const entry = manifest && manifest.entries[pagePath];
+  if (!entry) return null;
+
+  return path.join(
+    baselineRoot(baselineConfig, manifest.device, manifest.environment),
+    manifest.version,
+    entry.file
+  );
+}
+
+// Why a baseline can't be compared against the device's screenshots: it was
+// approved at another viewport or pixel density. Null when they match.
+function baselineDeviceMismatch(manifest, device) {
+  const describe = (viewport, scale) =>
+    `${viewport.width}x${viewport.height} @${scale}x`;
+  const approved = describe(manifest.viewport, manifest.deviceScaleFactor);
+  const current = describe(
+    device.use.viewport,
+    device.use.deviceScaleFactor || 1
+  );
+
+  return approved === current
+    ? null
+    : `Baseline ${manifest.version} was approved at ${approved}, the device is ${current}; approve a new baseline`;
+}
+
+// SHA-256 of a file, used to spot identical baselines across versions
+function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+// Version name for a new baseline, e.g. 2025-01-29T14-05-00
+function newVersionName() {
+  return new Date().toISOString().replace(/:/g, "-").replace(/\..+$/, "");
+}
+
+// Promote the current screenshots of one device/environment to a new
+// baseline version and write its manifest
+function approveBaseline({ baselineConfig, device, env, baseUrl, pagePaths }) {
+  const sourceDir = path.join("screenshots", device.name, env);
+  const version = newVersionName();
+  const targetDir = path.join(
+    baselineRoot(baselineConfig, device.name, env),
+    version
+  );
+  const entries = {};
+
+  pagePaths.forEach((pagePath) => {
+    const file = `${sanitizePagePath(pagePath)}.png`;
+    const sourcePath = path.join(sourceDir, file);
+    if (!fs.existsSync(sourcePath)) return;
+
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.copyFileSync(sourcePath, path.join(targetDir, file));
+    entries[pagePath] = {
+      url: `${baseUrl}${pagePath}`,
+      file,
+      capturedAt: fs.statSync(sourcePath).mtime.toISOString(),
+      hash: hashFile(sourcePath),
+    };
+  });
+
+  if (Object.keys(entries).length === 0) return null;
+
+  const manifest = {
+    device: device.name,
+    environment: env,
+    version,
+    approvedAt: new Date().toISOString(),
+    viewport: device.use.viewport,
+    deviceScaleFactor: device.use.deviceScaleFactor || 1,
+    entries,
+  };
+  fs.writeFileSync(
+    path.join(targetDir, "manifest.json"),
+    JSON.stringify(manifest, null, 2)
+  );
+  return manifest;
+}
+
+module.exports = {
+  listVersions,
+  loadManifest,
+  baselineImagePath,
+  baselineDeviceMismatch,
+  hashFile,
+  approveBaseline,
+};
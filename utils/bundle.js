@@ -0,0 +1,61 @@
+const fs = require("fs");
+const sharp = require("sharp");
+const { bundlePathFor, generateHtmlReport } = require("./report.js");
+
+// Encode an image buffer as a data URI
+function dataUri(buffer, mimeType) {
+  return `data:${mimeType};base64,${buffer.toString("base64")}`;
+}
+
+// Thumbnail (WebP) and full-size (JPEG) data URIs for one screenshot. WebP
+// caps out at 16383px, so only the narrow thumbnail uses it; full-page
+// screenshots can be taller than that.
+async function embedImage(imagePath, reportConfig) {
+  const thumbnail = await sharp(imagePath)
+    .resize({
+      width: reportConfig.thumbnailWidth,
+      height: 16383,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp()
+    .toBuffer();
+  const full = await sharp(imagePath, { limitInputPixels: false })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: reportConfig.fullImageQuality })
+    .toBuffer();
+
+  return {
+    thumbnail: dataUri(thumbnail, "image/webp"),
+    full: dataUri(full, "image/jpeg"),
+  };
+}
+
+// Write a device report with every screenshot embedded, so the single HTML
+// file can be shared on its own. Screenshots that can't be read keep their
+// relative path.
+async function generateReportBundle(run, deviceRun, reportConfig) {
+  const imagePaths = [
+    ...new Set(
+      deviceRun.results.flatMap((result) =>
+        (result.images || []).map((image) => image.path)
+      )
+    ),
+  ];
+
+  const images = {};
+  for (const imagePath of imagePaths) {
+    if (!fs.existsSync(imagePath)) continue;
+    try {
+      images[imagePath] = await embedImage(imagePath, reportConfig);
+    } catch (error) {
+      console.log(`Could not embed ${imagePath}: ${error.message}`);
+    }
+  }
+
+  const reportPath = bundlePathFor(deviceRun.name);
+  generateHtmlReport(run, deviceRun, { reportPath, images });
+  return reportPath;
+}
+
+module.exports = { generateReportBundle };
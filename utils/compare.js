@@ -0,0 +1,97 @@
+const fs = require("fs");
+const { PNG } = require("pngjs");
+const { excludeRegions, hatchRegions } = require("./masking.js");
+
+// Opaque magenta, so padding never blends in with a white page background
+const PADDING_COLOR = [255, 0, 255, 255];
+
+// Copy an image onto a larger canvas, filling the extra area with padding
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) return image;
+
+  const padded = new PNG({ width, height });
+  for (let i = 0; i < padded.data.length; i += 4) {
+    padded.data.set(PADDING_COLOR, i);
+  }
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Compare two screenshots at native resolution. The shorter (or narrower)
+// image is padded rather than scaled, and mismatches are counted per
+// horizontal band of `segmentHeight` pixels so the report can show where on
+// the page the difference is. Pixels inside `ignoreRegions` never count as
+// mismatched and are hatched in the diff. `pixelThreshold` is the pixelmatch
+// color tolerance. The source PNGs are never modified.
+async function compareScreenshots(
+  baselinePath,
+  currentPath,
+  diffPath,
+  { segmentHeight, ignoreRegions = [], pixelThreshold = 0.1 }
+) {
+  if (!fs.existsSync(baselinePath) || !fs.existsSync(currentPath)) {
+    console.log(`Missing file(s): ${baselinePath} or ${currentPath}`);
+    return { similarityPercentage: "Error", segments: [] };
+  }
+
+  const pixelmatch = (await import("pixelmatch")).default;
+
+  const original1 = PNG.sync.read(fs.readFileSync(baselinePath)); // Staging
+  const original2 = PNG.sync.read(fs.readFileSync(currentPath)); // Prod
+  const width = Math.max(original1.width, original2.width);
+  const height = Math.max(original1.height, original2.height);
+  const img1 = padImage(original1, width, height);
+  const img2 = padImage(original2, width, height);
+  excludeRegions(img1, img2, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const rowBytes = width * 4;
+  const segments = [];
+  let mismatchedPixels = 0;
+
+  for (let top = 0; top < height; top += segmentHeight) {
+    const bottom = Math.min(top + segmentHeight, height);
+    const start = top * rowBytes;
+    const end = bottom * rowBytes;
+
+    const segmentMismatch = pixelmatch(
+      img1.data.subarray(start, end),
+      img2.data.subarray(start, end),
+      diff.data.subarray(start, end),
+      width,
+      bottom - top,
+      {
+        threshold: pixelThreshold,
+        diffColor: [0, 0, 255], // Blue for Prod Differences
+        diffColorAlt: [255, 165, 0], // Orange for Staging Differences
+      }
+    );
+
+    const segmentPixels = width * (bottom - top);
+    segments.push({
+      top,
+      bottom,
+      mismatchedPixels: segmentMismatch,
+      similarityPercentage:
+        ((segmentPixels - segmentMismatch) / segmentPixels) * 100,
+    });
+    mismatchedPixels += segmentMismatch;
+  }
+
+  hatchRegions(diff, ignoreRegions);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  const totalPixels = width * height;
+  const matchedPixels = totalPixels - mismatchedPixels;
+  return {
+    similarityPercentage: (matchedPixels / totalPixels) * 100,
+    segments,
+    ignoredRegions: ignoreRegions.length,
+    dimensions: {
+      staging: { width: original1.width, height: original1.height },
+      prod: { width: original2.width, height: original2.height },
+    },
+  };
+}
+
+module.exports = { padImage, compareScreenshots };
@@ -0,0 +1,251 @@
+const fs = require("fs");
+
+// Unchanged lines kept around each change in a diff hunk
+const CONTEXT_LINES = 2;
+
+// Above this many cells the line diff gives up on aligning the changed
+// middle of two texts and reports it as removed and re-added
+const MAX_DIFF_CELLS = 4000000;
+
+// Text and outline files saved next to a screenshot
+function contentPathsFor(screenshotPath) {
+  const stem = screenshotPath.replace(/\.png$/, "");
+  return { text: `${stem}.txt`, outline: `${stem}.outline.txt` };
+}
+
+// Read the loaded page's visible text, one trimmed line per block with
+// whitespace collapsed, and a simplified DOM outline: landmarks, headings
+// (with their text), lists, tables, forms and media, indented by nesting.
+// Elements matching `exclude` (the masked, dynamic content) are left out
+// of both; they are hidden for the read only, so call this after the
+// screenshot.
+async function captureContent(page, exclude = []) {
+  return page.evaluate((excludeSelectors) => {
+    const style = document.createElement("style");
+    style.textContent = excludeSelectors
+      .map((selector) => `${selector} { visibility: hidden !important; }`)
+      .join("\n");
+    document.head.appendChild(style);
+
+    const isVisible = (element) => {
+      const computed = getComputedStyle(element);
+      return (
+        computed.display !== "none" &&
+        computed.visibility !== "hidden" &&
+        element.getClientRects().length > 0
+      );
+    };
+    const clean = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+    const describe = (element) => {
+      const tag = element.tagName.toLowerCase();
+      if (/^h[1-6]$/.test(tag)) return `${tag}: ${clean(element.innerText)}`;
+      if (tag === "ul" || tag === "ol") {
+        return `${tag} (${
+          element.querySelectorAll(":scope > li").length
+        } items)`;
+      }
+      if (tag === "table") return `table (${element.rows.length} rows)`;
+      if (tag === "form") {
+        return `form (${
+          element.querySelectorAll("input, select, textarea").length
+        } fields)`;
+      }
+      if (tag === "img") return `img: ${clean(element.getAttribute("alt"))}`;
+      // Only Elementor button links are listed, as buttons
+      if (tag === "button" || tag === "a") {
+        return `button: ${clean(element.innerText)}`;
+      }
+      return tag;
+    };
+    const outlineTags = new Set([
+      "HEADER",
+      "NAV",
+      "MAIN",
+      "SECTION",
+      "ARTICLE",
+      "ASIDE",
+      "FOOTER",
+      "H1",
+      "H2",
+      "H3",
+      "H4",
+      "H5",
+      "H6",
+      "UL",
+      "OL",
+      "TABLE",
+      "FORM",
+      "IMG",
+      "VIDEO",
+      "IFRAME",
+      "BUTTON",
+      "A",
+    ]);
+
+    const outline = [];
+    const walk = (parent, depth) => {
+      for (const element of parent.children) {
+        if (!isVisible(element)) continue;
+        const listed =
+          outlineTags.has(element.tagName) &&
+          (element.tagName !== "A" ||
+            element.classList.contains("elementor-button"));
+        if (listed) outline.push(`${"  ".repeat(depth)}${describe(element)}`);
+        walk(element, listed ? depth + 1 : depth);
+      }
+    };
+
+    try {
+      walk(document.body, 0);
+      return {
+        text: document.body.innerText
+          .split("\n")
+          .map(clean)
+          .filter(Boolean)
+          .join("\n"),
+        outline: outline.join("\n"),
+      };
+    } finally {
+      style.remove();
+    }
+  }, exclude);
+}
+
+// Save the page's text and outline next to its screenshot
+async function saveContent(page, screenshotPath, exclude = []) {
+  const paths = contentPathsFor(screenshotPath);
+  const content = await captureContent(page, exclude);
+  fs.writeFileSync(paths.text, `${content.text}\n`);
+  fs.writeFileSync(paths.outline, `${content.outline}\n`);
+  return paths;
+}
+
+// Remove the text and outline saved with a screenshot
+function removeContent(screenshotPath) {
+  Object.values(contentPathsFor(screenshotPath)).forEach((file) =>
+    fs.rmSync(file, { force: true })
+  );
+}
+
+// Line diff of two texts as [{ type: "same" | "removed" | "added", text }],
+// from a longest-common-subsequence table over the lines between the
+// common prefix and suffix
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const same = (lines) => lines.map((text) => ({ type: "same", text }));
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = [];
+
+  if ((middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS) {
+    middle.push(
+      ...middleA.map((text) => ({ type: "removed", text })),
+      ...middleB.map((text) => ({ type: "added", text }))
+    );
+  } else {
+    // lengths[i][j]: common lines of middleA[i..] and middleB[j..]
+    const width = middleB.length + 1;
+    const lengths = new Uint32Array((middleA.length + 1) * width);
+    for (let i = middleA.length - 1; i >= 0; i--) {
+      for (let j = middleB.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          middleA[i] === middleB[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * width + j],
+                lengths[i * width + j + 1]
+              );
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length || j < middleB.length) {
+      if (
+        i < middleA.length &&
+        j < middleB.length &&
+        middleA[i] === middleB[j]
+      ) {
+        middle.push({ type: "same", text: middleA[i] });
+        i++;
+        j++;
+      } else if (
+        i === middleA.length ||
+        (j < middleB.length &&
+          lengths[i * width + j + 1] > lengths[(i + 1) * width + j])
+      ) {
+        middle.push({ type: "added", text: middleB[j] });
+        j++;
+      } else {
+        middle.push({ type: "removed", text: middleA[i] });
+        i++;
+      }
+    }
+  }
+
+  return [...same(a.slice(0, start)), ...middle, ...same(a.slice(endA))];
+}
+
+// Diff of the prod text (before) against the staging text (after): counts
+// of added and removed lines, and the changes grouped into hunks with
+// CONTEXT_LINES unchanged lines around them
+function diffContent(prodText, stagingText) {
+  const lines = diffLines(prodText.trimEnd(), stagingText.trimEnd());
+  const changed = lines
+    .map((line, index) => (line.type === "same" ? -1 : index))
+    .filter((index) => index !== -1);
+
+  const hunks = [];
+  changed.forEach((index) => {
+    const from = Math.max(index - CONTEXT_LINES, 0);
+    const to = Math.min(index + CONTEXT_LINES, lines.length - 1);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  return {
+    added: lines.filter((line) => line.type === "added").length,
+    removed: lines.filter((line) => line.type === "removed").length,
+    hunks: hunks.map(({ from, to }) => lines.slice(from, to + 1)),
+  };
+}
+
+// Diff the text and outline saved with two screenshots
+function diffSavedContent(prodScreenshotPath, stagingScreenshotPath) {
+  const prod = contentPathsFor(prodScreenshotPath);
+  const staging = contentPathsFor(stagingScreenshotPath);
+  const read = (file) => fs.readFileSync(file, "utf8");
+
+  return {
+    textDiff: diffContent(read(prod.text), read(staging.text)),
+    outlineDiff: diffContent(read(prod.outline), read(staging.outline)),
+  };
+}
+
+module.exports = {
+  contentPathsFor,
+  captureContent,
+  saveContent,
+  removeContent,
+  diffLines,
+  diffContent,
+  diffSavedContent,
+};
@@ -0,0 +1,231 @@
+const axios = require("axios");
+const fs = require("fs");
+
+// Extensions that point at files rather than pages
+const NON_PAGE_EXTENSION =
+  /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|xml|zip|docx?|xlsx?|pptx?|mp4|mp3)$/i;
+
+// Decode the handful of XML entities that show up in sitemap <loc> values
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Split a sitemap document into child sitemaps (index files) and page URLs
+function parseSitemap(xml) {
+  const locs = (block) =>
+    [
+      ...block.matchAll(
+        /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis
+      ),
+    ].map((match) => decodeXmlEntities(match[1]));
+
+  const sitemaps = [
+    ...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi),
+  ].flatMap((match) => locs(match[1]));
+  const urls = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)].flatMap((match) =>
+    locs(match[1])
+  );
+
+  return { sitemaps, urls };
+}
+
+// Normalize a URL to a page path ("/about/"), or null if it is off-site or
+// malformed. `anyHost` accepts any host, for sitemaps that list another
+// environment's URLs.
+function toPagePath(url, baseUrl, { anyHost = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url, baseUrl);
+  } catch {
+    return null;
+  }
+
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  if (!anyHost && parsed.host !== new URL(baseUrl).host) return null;
+  if (NON_PAGE_EXTENSION.test(parsed.pathname)) return null;
+
+  return parsed.pathname;
+}
+
+// Check a page path against the configured exclude patterns
+function isExcluded(pagePath, excludePatterns) {
+  return excludePatterns.some((pattern) => pattern.test(pagePath));
+}
+
+// Walk sitemap.xml and any nested sitemap index files, returning page paths
+async function fetchSitemapPaths(baseUrl, sitemapPaths, options) {
+  const queue = sitemapPaths.map((sitemapPath) =>
+    new URL(sitemapPath, baseUrl).toString()
+  );
+  const visited = new Set();
+  const pagePaths = new Set();
+
+  while (queue.length > 0) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    let response;
+    try {
+      response = await axios.get(sitemapUrl, {
+        timeout: options.timeout,
+        responseType: "text",
+      });
+    } catch (error) {
+      console.log(`Could not fetch sitemap ${sitemapUrl}: ${error.message}`);
+      continue;
+    }
+
+    const { sitemaps, urls } = parseSitemap(String(response.data));
+    queue.push(...sitemaps);
+
+    urls.forEach((url) => {
+      // Staging sitemaps often carry the prod host, so match on path only
+      const pagePath = toPagePath(url, baseUrl, { anyHost: true });
+      if (pagePath && !isExcluded(pagePath, options.excludePatterns)) {
+        pagePaths.add(pagePath);
+      }
+    });
+  }
+
+  return pagePaths;
+}
+
+// Follow internal <a href> links breadth-first up to maxDepth
+async function crawlInternalLinks(baseUrl, seedPaths, options) {
+  const { maxDepth, maxPages, timeout, excludePatterns } = options;
+  const found = new Set(seedPaths);
+  let frontier = [...seedPaths];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+
+    for (const pagePath of frontier) {
+      if (found.size >= maxPages) return found;
+
+      let response;
+      try {
+        response = await axios.get(new URL(pagePath, baseUrl).toString(), {
+          timeout,
+          responseType: "text",
+        });
+      } catch (error) {
+        continue;
+      }
+
+      const html = String(response.data);
+      for (const match of html.matchAll(/<a\s[^>]*href=["']([^"'#]+)["']/gi)) {
+        const linkedPath = toPagePath(decodeXmlEntities(match[1]), baseUrl);
+        if (
+          linkedPath &&
+          !found.has(linkedPath) &&
+          !isExcluded(linkedPath, excludePatterns) &&
+          found.size < maxPages
+        ) {
+          found.add(linkedPath);
+          nextFrontier.push(linkedPath);
+        }
+      }
+    }
+
+    frontier = nextFrontier;
+  }
+
+  return found;
+}
+
+// Discover every page path for one environment
+async function discoverEnvironment(baseUrl, discoveryConfig) {
+  const options = {
+    timeout: discoveryConfig.timeout,
+    excludePatterns: discoveryConfig.excludePatterns,
+  };
+
+  const pagePaths = await fetchSitemapPaths(
+    baseUrl,
+    discoveryConfig.sitemapPaths,
+    options
+  );
+
+  if (discoveryConfig.crawl.enabled) {
+    const seeds = pagePaths.size > 0 ? [...pagePaths] : ["/"];
+    const crawled = await crawlInternalLinks(baseUrl, seeds, {
+      ...options,
+      maxDepth: discoveryConfig.crawl.maxDepth,
+      maxPages: discoveryConfig.crawl.maxPages,
+    });
+    crawled.forEach((pagePath) => pagePaths.add(pagePath));
+  }
+
+  return pagePaths;
+}
+
+// Split two path sets into shared paths and paths present on only one side
+function diffPagePaths(stagingPaths, prodPaths) {
+  const staging = new Set(stagingPaths);
+  const prod = new Set(prodPaths);
+
+  return {
+    shared: [...staging].filter((pagePath) => prod.has(pagePath)).sort(),
+    missingOnProd: [...staging]
+      .filter((pagePath) => !prod.has(pagePath))
+      .sort(),
+    missingOnStaging: [...prod]
+      .filter((pagePath) => !staging.has(pagePath))
+      .sort(),
+  };
+}
+
+// Fall back to the hand-maintained lists in config.js. Prod entries that
+// are off-site or malformed are dropped, as discovery drops them.
+function configuredPages(config) {
+  const stagingPaths = config.staging.urls;
+  const prodPaths = config.prod.urls
+    .map((url) => toPagePath(url, config.prod.baseUrl))
+    .filter(Boolean);
+  return { ...diffPagePaths(stagingPaths, prodPaths), source: "config" };
+}
+
+// Discover pages on both environments and diff them
+async function discoverPages(config) {
+  const discoveryConfig = config.discovery;
+
+  const [stagingPaths, prodPaths] = await Promise.all([
+    discoverEnvironment(config.staging.baseUrl, discoveryConfig),
+    discoverEnvironment(config.prod.baseUrl, discoveryConfig),
+  ]);
+
+  // An empty side means its sitemap was unreachable, not that every page is gone
+  if (stagingPaths.size === 0 || prodPaths.size === 0) {
+    throw new Error(
+      `Discovery found no pages on ${
+        stagingPaths.size === 0 ? "staging" : "prod"
+      }`
+    );
+  }
+
+  return { ...diffPagePaths(stagingPaths, prodPaths), source: "discovery" };
+}
+
+// Read the page list written by global setup, else the config.js lists
+function loadPages(config) {
+  const outputFile = config.discovery.outputFile;
+  if (config.discovery.enabled && fs.existsSync(outputFile)) {
+    return JSON.parse(fs.readFileSync(outputFile, "utf8"));
+  }
+  return configuredPages(config);
+}
+
+module.exports = {
+  parseSitemap,
+  toPagePath,
+  diffPagePaths,
+  configuredPages,
+  discoverPages,
+  loadPages,
+};
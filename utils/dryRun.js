@@ -0,0 +1,147 @@
+// Parse a form POST body, urlencoded or multipart, into { name: value }.
+// File parts are skipped.
+function parseFormBody(contentType = "", body) {
+  if (!body) return {};
+  const text = body.toString("utf8");
+
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+
+  const payload = {};
+  text.split(`--${boundary[1] || boundary[2]}`).forEach((part) => {
+    const [head, ...rest] = part.split("\r\n\r\n");
+    const name = head.match(/name="([^"]*)"/);
+    if (!name || /filename="/.test(head)) return;
+    payload[name[1]] = rest.join("\r\n\r\n").replace(/\r\n$/, "");
+  });
+  return payload;
+}
+
+// Markup for a simple selector such as "h1.header2", so the stub page shows
+// the confirmation where the runner looks for it
+function confirmationMarkup(confirmation) {
+  const [, tag = "div", rest = ""] =
+    confirmation.selector.match(/^([a-z0-9]*)(.*)$/i) || [];
+  const classes = [...rest.matchAll(/\.([\w-]+)/g)].map((match) => match[1]);
+  const id = rest.match(/#([\w-]+)/);
+
+  return `<${tag || "div"}${
+    classes.length > 0 ? ` class="${classes.join(" ")}"` : ""
+  }${id ? ` id="${id[1]}"` : ""}>${confirmation.text}</${tag || "div"}>`;
+}
+
+// Whether the stub answers with a page built from the spec's own
+// confirmation, rather than redirecting to the real one. Checking the
+// confirmation text then proves nothing.
+function servesStubConfirmation(spec) {
+  return !(spec.dryRun && spec.dryRun.redirect);
+}
+
+// What the stub answers a submission with: a redirect to the spec's
+// `dryRun.redirect` confirmation page, or a page with just the confirmation
+function stubResponse(spec, baseUrl) {
+  if (!servesStubConfirmation(spec)) {
+    return {
+      status: 302,
+      headers: { location: `${baseUrl}${spec.dryRun.redirect}` },
+    };
+  }
+
+  return {
+    status: 200,
+    contentType: "text/html",
+    body: `<!DOCTYPE html><html><body>${confirmationMarkup(
+      spec.confirmation
+    )}</body></html>`,
+  };
+}
+
+// Route the spec's Gravity Forms POSTs to a local stub instead of the
+// server, so no lead is created. Every intercepted submission is recorded
+// in `submissions` as { url, payload }; other requests pass through. Call
+// stop() to remove the route.
+async function interceptSubmissions(page, spec, baseUrl) {
+  const submissions = [];
+
+  const handler = (route) => {
+    const request = route.request();
+    if (request.method() !== "POST") return route.fallback();
+
+    const payload = parseFormBody(
+      request.headers()["content-type"],
+      request.postDataBuffer()
+    );
+    if (payload.gform_submit !== String(spec.formId)) return route.fallback();
+
+    submissions.push({ url: request.url(), payload });
+    return route.fulfill(stubResponse(spec, baseUrl));
+  };
+  await page.route("**/*", handler);
+
+  return {
+    submissions,
+    stop: () => page.unroute("**/*", handler),
+  };
+}
+
+// Map the filled values to the names they are posted under, read from the
+// form itself (Gravity Forms posts #input_8_5 as input_5). Checkboxes post
+// their own value, not "true", so they are left out. With
+// `dryRun.expectHiddenFields` the form's hidden fields (lead source, UTM
+// tags) must also be posted with the values the page rendered; Gravity
+// Forms' own bookkeeping inputs sit outside the .gfield items.
+async function expectedPayload(page, spec, filled) {
+  const expected =
+    spec.dryRun && spec.dryRun.expectHiddenFields
+      ? await page
+          .locator(`${spec.form} .gfield input[type="hidden"]`)
+          .evaluateAll((inputs) =>
+            Object.fromEntries(
+              inputs
+                .filter((input) => input.name)
+                .map((input) => [input.name, input.value])
+            )
+          )
+      : {};
+  for (const field of spec.fields) {
+    if (field.action === "check") continue;
+    const name = await page.getAttribute(field.selector, "name");
+    if (name) expected[name] = filled[field.name];
+  }
+  return expected;
+}
+
+// Check an intercepted payload: every filled (and expected hidden) field
+// arrived with its value, each `query` value (UTM tags) was carried into a hidden field when
+// `dryRun.expectQueryInPayload` is set, and the `dryRun.expect` entries
+// (e.g. a lead source field) match
+function payloadProblems(spec, submission, expected) {
+  if (!submission) return ["no submission was intercepted"];
+  const { payload } = submission;
+  const dryRun = spec.dryRun || {};
+  const values = Object.values(payload);
+
+  return [
+    ...Object.entries({ ...expected, ...(dryRun.expect || {}) })
+      .filter(([name, value]) => payload[name] !== value)
+      .map(
+        ([name, value]) =>
+          `${name}: expected "${value}", posted "${payload[name]}"`
+      ),
+    ...(dryRun.expectQueryInPayload
+      ? Object.entries(spec.query || {})
+          .filter(([, value]) => !values.includes(value))
+          .map(([param, value]) => `${param}=${value} was not posted`)
+      : []),
+  ];
+}
+
+module.exports = {
+  parseFormBody,
+  servesStubConfirmation,
+  interceptSubmissions,
+  expectedPayload,
+  payloadProblems,
+};
@@ -0,0 +1,136 @@
+const { openForm, fillForm, confirmationMatches } = require("./forms.js");
+
+// Gravity Forms' stock inline messages; a spec's `validationMessages`
+// overrides them. A message is matched as a substring, and null means any
+// inline error on the field will do.
+const DEFAULT_VALIDATION_MESSAGES = {
+  required: "This field is required.",
+  email: "The email address entered is invalid",
+  phone: "Phone format:",
+  zip: null,
+  long: null,
+  injection: null,
+};
+
+// Values that must be rejected, by field `type`
+const INVALID_VALUES = {
+  email: [{ kind: "email", label: "malformed email", value: "not-an-email" }],
+  phone: [{ kind: "phone", label: "short phone", value: "555" }],
+  zip: [{ kind: "zip", label: "non-numeric ZIP", value: "ABCDE" }],
+  name: [
+    { kind: "long", label: "overly long name", value: "A".repeat(300) },
+    {
+      kind: "injection",
+      label: "script injection",
+      value: '<script>alert("xss")</script>',
+    },
+  ],
+};
+
+// Generate the negative cases for a form spec: each required field left
+// empty, plus the invalid values for each typed field. Every other field
+// keeps its valid test value, so only the case under test can fail.
+function negativeCases(spec) {
+  const messages = {
+    ...DEFAULT_VALIDATION_MESSAGES,
+    ...(spec.validationMessages || {}),
+  };
+
+  return spec.fields.flatMap((field) => [
+    ...(field.required
+      ? [
+          {
+            name: `empty ${field.name}`,
+            field,
+            value: "",
+            expectedMessage: messages.required,
+          },
+        ]
+      : []),
+    ...(INVALID_VALUES[field.type] || []).map(({ kind, label, value }) => ({
+      name: `${label} in ${field.name}`,
+      field,
+      value,
+      expectedMessage: messages[kind],
+    })),
+  ]);
+}
+
+// Submit the form with one invalid value and check Gravity Forms rejects it
+// inline: the field shows the expected message, the confirmation never
+// appears and no injected script runs
+async function runNegativeCase(page, spec, baseUrl, testCase) {
+  const { confirmation } = spec;
+  let scriptExecuted = false;
+  const onDialog = (dialog) => {
+    scriptExecuted = true;
+    dialog.dismiss().catch(() => {});
+  };
+
+  // Not intercepted: Gravity Forms validates on the server, so the POST has
+  // to reach it. A value the form accepts instead of rejecting creates a
+  // real lead, which is why negative cases are opt-in.
+  await openForm(page, spec, baseUrl);
+  page.on("dialog", onDialog);
+
+  try {
+    await fillForm(page, spec, { [testCase.field.name]: testCase.value });
+    await page.click(spec.submit);
+
+    // Gravity Forms re-renders the form with errors, by AJAX or a reload
+    await page
+      .waitForSelector(`${spec.form} .gfield_error, ${confirmation.selector}`, {
+        timeout: 20000,
+      })
+      .catch(() => {});
+
+    const confirmationShown =
+      (await page.locator(confirmation.selector).count()) > 0 &&
+      confirmationMatches(
+        spec,
+        (await page.locator(confirmation.selector).first().textContent()).trim()
+      );
+    const confirmed =
+      confirmationShown ||
+      (!!confirmation.url && new RegExp(confirmation.url).test(page.url()));
+
+    const fieldMessage = page
+      .locator(".gfield")
+      .filter({ has: page.locator(testCase.field.selector) })
+      .locator(".gfield_validation_message, .validation_message");
+    const message =
+      (await fieldMessage.count()) > 0
+        ? (await fieldMessage.first().textContent()).trim()
+        : null;
+
+    const problems = [
+      ...(confirmed ? ["reached the confirmation page"] : []),
+      ...(message === null ? ["no inline validation message"] : []),
+      ...(message !== null &&
+      testCase.expectedMessage &&
+      !message.includes(testCase.expectedMessage)
+        ? [`expected "${testCase.expectedMessage}", got "${message}"`]
+        : []),
+      ...(scriptExecuted ? ["injected script ran"] : []),
+    ];
+
+    return {
+      name: testCase.name,
+      field: testCase.field.name,
+      expectedMessage: testCase.expectedMessage,
+      message,
+      confirmed,
+      scriptExecuted,
+      status: problems.length === 0 ? "pass" : "fail",
+      problems,
+    };
+  } finally {
+    page.off("dialog", onDialog);
+  }
+}
+
+module.exports = {
+  DEFAULT_VALIDATION_MESSAGES,
+  negativeCases,
+  runNegativeCase,
+};
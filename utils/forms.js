@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+
+// Load every form spec (*.json) in a directory, in file-name order. A spec
+// describes where the form lives, how to reveal it, its fields with valid
+// test values, and the confirmation to expect after submitting.
+function loadFormSpecs(specDir) {
+  if (!fs.existsSync(specDir)) return [];
+
+  return fs
+    .readdirSync(specDir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => ({
+      id: path.basename(file, ".json"),
+      ...JSON.parse(fs.readFileSync(path.join(specDir, file), "utf8")),
+    }));
+}
+
+// Replace {timestamp} placeholders so every submission is unique
+function resolveValue(value, timestamp) {
+  return String(value).replace(/\{timestamp\}/g, timestamp);
+}
+
+// Open the page a form lives on (with the spec's `query` parameters, e.g.
+// UTM tags) and run its trigger: a click that reveals the form, optionally
+// followed by navigation to the form page
+async function openForm(page, spec, baseUrl) {
+  const query = spec.query ? `?${new URLSearchParams(spec.query)}` : "";
+  await page.goto(`${baseUrl}${spec.page}${query}`, {
+    waitUntil: "domcontentloaded",
+  });
+
+  const { trigger } = spec;
+  if (trigger && trigger.click) {
+    await page.click(trigger.click);
+  }
+  if (trigger && trigger.waitForUrl) {
+    await page.waitForURL(`${baseUrl}${trigger.waitForUrl}`, {
+      timeout: 10000,
+    });
+  }
+
+  await page.waitForSelector(spec.form, { timeout: 10000 });
+}
+
+// Fill every field with its test value; `values` overrides fields by name.
+// Returns the values used, by field name.
+async function fillForm(page, spec, values = {}) {
+  const timestamp = Date.now();
+  const filled = {};
+
+  for (const field of spec.fields) {
+    const value = resolveValue(
+      field.name in values ? values[field.name] : field.value,
+      timestamp
+    );
+    filled[field.name] = value;
+
+    if (field.action === "select") {
+      await page.selectOption(field.selector, { value });
+    } else if (field.action === "check") {
+      await page.setChecked(field.selector, value === "true");
+    } else {
+      await page.fill(field.selector, value);
+    }
+  }
+
+  return filled;
+}
+
+// Submit the form and wait for its confirmation. Returns the confirmation
+// page URL and the trimmed confirmation text.
+async function submitForm(page, spec) {
+  const { confirmation } = spec;
+
+  await Promise.all([
+    confirmation.url
+      ? page.waitForURL(new RegExp(confirmation.url), { timeout: 30000 })
+      : page.waitForNavigation({
+          waitUntil: "domcontentloaded",
+          timeout: 30000,
+        }),
+    page.click(spec.submit),
+  ]);
+
+  await page.waitForSelector(confirmation.selector, { timeout: 20000 });
+  const text = await page.textContent(confirmation.selector);
+  return { url: page.url(), text: text.trim() };
+}
+
+// Whether the confirmation text is the one the spec expects
+function confirmationMatches(spec, text) {
+  const { confirmation } = spec;
+  return confirmation.ignoreCase
+    ? text.toLowerCase() === confirmation.text.toLowerCase()
+    : text === confirmation.text;
+}
+
+module.exports = {
+  loadFormSpecs,
+  resolveValue,
+  openForm,
+  fillForm,
+  submitForm,
+  confirmationMatches,
+};
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const { RUN_RESULTS_PATH } = require("./results.js");
+
+// Directory-safe id for a run, e.g. 2025-01-29T14-05-00-123Z
+function runIdFor(run) {
+  return run.generatedAt.replace(/[:.]/g, "-");
+}
+
+// Path of the index listing every archived run
+function indexPath(historyConfig) {
+  return path.join(historyConfig.dir, "index.json");
+}
+
+// Load the run index, or an empty one
+function loadIndex(historyConfig) {
+  const file = indexPath(historyConfig);
+  if (!fs.existsSync(file)) return { runs: [] };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Compact per-page outcome of a run, as stored in the index. `status` is
+// the visual outcome, so a page over its performance budget doesn't count as
+// a visual failure or flip; `overBudget` records that separately.
+// `keptScreenshots` says whether the archived reports have their images.
+function indexEntryFor(run, runId, keptScreenshots) {
+  return {
+    id: runId,
+    generatedAt: run.generatedAt,
+    mode: run.mode,
+    keptScreenshots,
+    devices: Object.fromEntries(
+      run.devices.map(({ name, summary, results }) => [
+        name,
+        {
+          summary,
+          pages: Object.fromEntries(
+            results.map((result) => [
+              result.pagePath,
+              {
+                status: result.visualStatus || result.status,
+                overBudget: (result.budgetViolations || []).length > 0,
+                similarity:
+                  typeof result.similarityPercentage === "number"
+                    ? Number(result.similarityPercentage.toFixed(2))
+                    : null,
+              },
+            ])
+          ),
+        },
+      ])
+    ),
+  };
+}
+
+// Copy this run's results, reports and (optionally) screenshots into a
+// timestamped run directory, add it to the index and prune old runs.
+// Screenshot paths in the reports are relative, so an archived report only
+// shows its images when `keepScreenshots` copied them along.
+function archiveRun(run, historyConfig, reportFiles) {
+  const runId = runIdFor(run);
+  const runDir = path.join(historyConfig.dir, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  [RUN_RESULTS_PATH, ...reportFiles]
+    .filter((file) => fs.existsSync(file))
+    .forEach((file) => fs.copyFileSync(file, path.join(runDir, file)));
+
+  if (historyConfig.keepScreenshots) {
+    run.devices.forEach(({ name }) => {
+      const source = path.join("screenshots", name);
+      if (fs.existsSync(source)) {
+        fs.cpSync(source, path.join(runDir, "screenshots", name), {
+          recursive: true,
+        });
+      }
+    });
+  }
+
+  const index = loadIndex(historyConfig);
+  index.runs.push(indexEntryFor(run, runId, !!historyConfig.keepScreenshots));
+  index.runs.sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+
+  while (index.runs.length > historyConfig.maxRuns) {
+    const pruned = index.runs.shift();
+    fs.rmSync(path.join(historyConfig.dir, pruned.id), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  fs.writeFileSync(indexPath(historyConfig), JSON.stringify(index, null, 2));
+  return index;
+}
+
+// Per device and page: similarity over time, when the current failing streak
+// started, and how often the page flipped between pass and fail
+function analyzeTrends(index, historyConfig) {
+  const trends = {};
+
+  index.runs.forEach((runEntry) => {
+    Object.entries(runEntry.devices).forEach(([deviceName, device]) => {
+      trends[deviceName] = trends[deviceName] || {};
+      Object.entries(device.pages).forEach(([pagePath, outcome]) => {
+        trends[deviceName][pagePath] = trends[deviceName][pagePath] || [];
+        trends[deviceName][pagePath].push({
+          runId: runEntry.id,
+          generatedAt: runEntry.generatedAt,
+          keptScreenshots: !!runEntry.keptScreenshots,
+          ...outcome,
+        });
+      });
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(trends).map(([deviceName, pages]) => [
+      deviceName,
+      Object.entries(pages)
+        .map(([pagePath, series]) => {
+          const judged = series.filter(
+            (point) => point.status === "pass" || point.status === "fail"
+          );
+          const transitions = judged.filter(
+            (point, i) => i > 0 && point.status !== judged[i - 1].status
+          ).length;
+
+          // Walk back from the latest run to the start of the failing streak
+          let firstSeenFailing = null;
+          for (let i = series.length - 1; i >= 0; i--) {
+            if (series[i].status !== "fail") break;
+            firstSeenFailing = series[i].generatedAt;
+          }
+
+          return {
+            pagePath,
+            series,
+            latest: series[series.length - 1],
+            firstSeenFailing,
+            transitions,
+            flaky: transitions >= historyConfig.flakyTransitions,
+          };
+        })
+        .sort((a, b) => a.pagePath.localeCompare(b.pagePath)),
+    ])
+  );
+}
+
+module.exports = { runIdFor, loadIndex, archiveRun, analyzeTrends };
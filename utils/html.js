@@ -0,0 +1,49 @@
+// Markup that has already been escaped (or is trusted) and is inserted as-is
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Escape text for use in HTML content and double-quoted attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Mark trusted markup so `htmlTemplate` does not escape it
+function raw(value) {
+  return new SafeHtml(value);
+}
+
+// Render one interpolated value: SafeHtml as-is, arrays item by item,
+// null/undefined/false as nothing and everything else escaped
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+// Tagged template that escapes every interpolation, e.g.
+// htmlTemplate`<td>${result.pagePath}</td>`. Returns SafeHtml, so
+// templates nest.
+function htmlTemplate(strings, ...values) {
+  return raw(
+    strings.reduce(
+      (output, string, i) =>
+        output + string + (i < values.length ? renderValue(values[i]) : ""),
+      ""
+    )
+  );
+}
+
+module.exports = { SafeHtml, escapeHtml, raw, htmlTemplate };
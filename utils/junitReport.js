@@ -0,0 +1,104 @@
+const fs = require("fs");
+const { formatViolation } = require("./performance.js");
+
+const JUNIT_REPORT_PATH = "visual_comparison_results.xml";
+
+// Escape text for use in XML attributes and content
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Seconds, as JUnit expects, from a duration in milliseconds
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+// One <testcase>; fail/error/missing map to <failure>/<error>/<skipped>. A
+// failure names what failed: the similarity, the performance budgets or both.
+function renderTestCase(deviceName, result) {
+  const name = escapeXml(result.pagePath);
+  const time = seconds(result.timings && result.timings.total);
+  const similarity =
+    typeof result.similarityPercentage === "number"
+      ? `${result.similarityPercentage.toFixed(2)}%`
+      : result.similarityPercentage;
+
+  let body = "";
+  if (result.status === "fail") {
+    const minimum = result.threshold ? result.threshold.minSimilarity : "";
+    const visualFailed = result.visualStatus !== "pass";
+    const violations = (result.budgetViolations || []).map(formatViolation);
+    const message = [
+      ...(visualFailed ? [`Similarity ${similarity} below ${minimum}%`] : []),
+      ...(violations.length > 0
+        ? [`Over budget: ${violations.join(", ")}`]
+        : []),
+    ].join("; ");
+    body = `<failure message="${escapeXml(message)}" type="${
+      visualFailed ? "VisualRegression" : "PerformanceBudget"
+    }"/>`;
+  } else if (result.status === "error") {
+    body = `<error message="${escapeXml(
+      result.error || similarity
+    )}" type="CaptureError"/>`;
+  } else if (result.status === "missing") {
+    body = `<skipped message="${escapeXml(similarity)}"/>`;
+  }
+
+  return `    <testcase classname="${escapeXml(
+    `visual.${deviceName}`
+  )}" name="${name}" time="${time}">${body}</testcase>`;
+}
+
+// Write a JUnit XML file with one <testsuite> per device
+function generateJUnitReport(run) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 };
+
+  const suites = run.devices.map(({ name, summary, results }) => {
+    const time = results.reduce(
+      (sum, result) => sum + ((result.timings && result.timings.total) || 0),
+      0
+    );
+    totals.tests += summary.total;
+    totals.failures += summary.fail;
+    totals.errors += summary.error;
+    totals.skipped += summary.missing;
+    totals.time += time;
+
+    return [
+      `  <testsuite name="${escapeXml(name)}" tests="${
+        summary.total
+      }" failures="${summary.fail}" errors="${summary.error}" skipped="${
+        summary.missing
+      }" time="${seconds(time)}" timestamp="${run.generatedAt}">`,
+      ...results.map((result) => renderTestCase(name, result)),
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Visual Comparison" tests="${totals.tests}" failures="${
+      totals.failures
+    }" errors="${totals.errors}" skipped="${totals.skipped}" time="${seconds(
+      totals.time
+    )}">`,
+    ...suites,
+    "</testsuites>",
+    "",
+  ].join("\n");
+
+  fs.writeFileSync(JUNIT_REPORT_PATH, xml);
+}
+
+module.exports = {
+  JUNIT_REPORT_PATH,
+  escapeXml,
+  renderTestCase,
+  generateJUnitReport,
+};
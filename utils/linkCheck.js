@@ -0,0 +1,270 @@
+const axios = require("axios");
+const fs = require("fs");
+
+// Results of the last link health check; the link report renders from this
+const LINK_RESULTS_PATH = "link_health.json";
+
+// Collect every resource a loaded page references: anchors, <link>s,
+// scripts, images (src and srcset), media, frames, inline style url()s and
+// url()s in readable stylesheets (@font-face sources count as fonts).
+// Cross-origin stylesheets can't be read; the sheet itself is still checked.
+async function collectPageLinks(page) {
+  return page.evaluate(() => {
+    const links = [];
+    const add = (value, kind, base = document.baseURI) => {
+      if (!value) return;
+      try {
+        links.push({ url: new URL(value.trim(), base).href, kind });
+      } catch (error) {
+        // Not a URL
+      }
+    };
+    const srcsetUrls = (srcset) =>
+      srcset
+        .split(",")
+        .map((candidate) => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+    const cssUrls = (text) =>
+      [...text.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)]
+        .map((match) => match[2])
+        .filter((url) => !url.startsWith("data:"));
+
+    document
+      .querySelectorAll("a[href], area[href]")
+      .forEach((element) => add(element.getAttribute("href"), "anchor"));
+    document.querySelectorAll("link[href]").forEach((element) => {
+      const rel = element.rel.toLowerCase();
+      if (/preconnect|dns-prefetch/.test(rel)) return;
+      const kind = rel.includes("stylesheet")
+        ? "stylesheet"
+        : element.as === "font"
+        ? "font"
+        : rel.includes("icon")
+        ? "image"
+        : "other";
+      add(element.getAttribute("href"), kind);
+    });
+    document
+      .querySelectorAll("script[src]")
+      .forEach((element) => add(element.getAttribute("src"), "script"));
+    document
+      .querySelectorAll("img[src], img[srcset], source")
+      .forEach((element) => {
+        const kind = element.closest("video, audio") ? "media" : "image";
+        add(element.getAttribute("src"), kind);
+        srcsetUrls(element.getAttribute("srcset") || "").forEach((url) =>
+          add(url, kind)
+        );
+      });
+    document
+      .querySelectorAll("video[src], audio[src], video[poster]")
+      .forEach((element) => {
+        add(element.getAttribute("src"), "media");
+        add(element.getAttribute("poster"), "image");
+      });
+    document
+      .querySelectorAll("iframe[src]")
+      .forEach((element) => add(element.getAttribute("src"), "frame"));
+    document
+      .querySelectorAll("[style*='url(']")
+      .forEach((element) =>
+        cssUrls(element.getAttribute("style")).forEach((url) =>
+          add(url, "image")
+        )
+      );
+
+    const walkRules = (rules, base) => {
+      [...rules].forEach((rule) => {
+        if (rule instanceof CSSImportRule) {
+          add(rule.href, "stylesheet", base);
+          if (rule.styleSheet) walkSheet(rule.styleSheet);
+        } else if (rule instanceof CSSFontFaceRule) {
+          cssUrls(rule.cssText).forEach((url) => add(url, "font", base));
+        } else if (rule.cssRules) {
+          walkRules(rule.cssRules, base);
+        } else {
+          cssUrls(rule.cssText).forEach((url) => add(url, "image", base));
+        }
+      });
+    };
+    const walkSheet = (sheet) => {
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (error) {
+        return;
+      }
+      walkRules(rules, sheet.href || document.baseURI);
+    };
+    [...document.styleSheets].forEach(walkSheet);
+
+    return links;
+  });
+}
+
+// Add one page's links to the site-wide index of url -> { kinds, pages }.
+// Fragments are dropped, as are non-http(s) URLs and anything
+// isExcluded(url, kind) matches, so each resource is checked once however
+// often it is linked.
+function addReferences(references, pagePath, links, isExcluded = () => false) {
+  links.forEach(({ url, kind }) => {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) return;
+    parsed.hash = "";
+    const key = parsed.href;
+    if (isExcluded(key, kind)) return;
+
+    if (!references.has(key)) {
+      references.set(key, { kinds: new Set(), pages: new Set() });
+    }
+    references.get(key).kinds.add(kind);
+    references.get(key).pages.add(pagePath);
+  });
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// One request without following redirects; the body is never downloaded
+async function requestOnce(url, method, options) {
+  const response = await axios.request({
+    url,
+    method,
+    maxRedirects: 0,
+    timeout: options.timeout,
+    responseType: "stream",
+    validateStatus: () => true,
+  });
+  response.data.destroy();
+  return response;
+}
+
+// Check a URL with HEAD, retrying with GET when HEAD errors or is refused
+// (many servers answer HEAD with 403/405), and follow redirects hop by hop
+async function checkUrl(url, options) {
+  const redirects = [];
+  let current = url;
+
+  for (let hop = 0; hop <= options.maxRedirects; hop++) {
+    let response;
+    let method = "HEAD";
+    try {
+      response = await requestOnce(current, "HEAD", options);
+    } catch (error) {
+      response = null;
+    }
+
+    if (!response || response.status >= 400) {
+      method = "GET";
+      try {
+        response = await requestOnce(current, "GET", options);
+      } catch (error) {
+        return {
+          ok: false,
+          status: null,
+          method,
+          redirects,
+          finalUrl: current,
+          error: error.message,
+        };
+      }
+    }
+
+    const { location } = response.headers;
+    if (response.status >= 300 && response.status < 400 && location) {
+      redirects.push({ url: current, status: response.status });
+      try {
+        current = new URL(location, current).href;
+      } catch (error) {
+        return {
+          ok: false,
+          status: response.status,
+          method,
+          redirects,
+          finalUrl: current,
+          error: `Malformed Location header: ${location}`,
+        };
+      }
+      continue;
+    }
+
+    return {
+      ok: response.status < 400,
+      status: response.status,
+      method,
+      redirects,
+      finalUrl: current,
+    };
+  }
+
+  return {
+    ok: false,
+    status: null,
+    method: "HEAD",
+    redirects,
+    finalUrl: current,
+    error: `More than ${options.maxRedirects} redirects`,
+  };
+}
+
+// Check every collected resource; broken ones first, each with the pages
+// that reference it
+async function checkLinks(references, options) {
+  const entries = [...references.entries()];
+
+  const results = await mapWithConcurrency(
+    entries,
+    options.concurrency,
+    async ([url, { kinds, pages }]) => ({
+      url,
+      kinds: [...kinds].sort(),
+      referencedBy: [...pages].sort(),
+      ...(await checkUrl(url, options)),
+    })
+  );
+
+  return results.sort(
+    (a, b) => Number(a.ok) - Number(b.ok) || a.url.localeCompare(b.url)
+  );
+}
+
+// Write the link check as one JSON document and read it back
+function writeLinkResults(baseUrl, pagesScanned, links) {
+  const linkRun = {
+    generatedAt: new Date().toISOString(),
+    environment: baseUrl,
+    pagesScanned,
+    summary: {
+      total: links.length,
+      ok: links.filter((link) => link.ok).length,
+      broken: links.filter((link) => !link.ok).length,
+    },
+    links,
+  };
+  fs.writeFileSync(LINK_RESULTS_PATH, JSON.stringify(linkRun, null, 2));
+  return JSON.parse(fs.readFileSync(LINK_RESULTS_PATH, "utf8"));
+}
+
+module.exports = {
+  LINK_RESULTS_PATH,
+  collectPageLinks,
+  addReferences,
+  mapWithConcurrency,
+  checkUrl,
+  checkLinks,
+  writeLinkResults,
+};
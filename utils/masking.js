@@ -0,0 +1,98 @@
+const { globToRegExp } = require("./thresholds.js");
+
+// Merge the global ignore rules with every per-page rule whose glob pattern
+// matches the page path
+function resolveIgnoreRules(ignoreConfig, pagePath) {
+  const rules = { hide: [], mask: [], regions: [] };
+  if (!ignoreConfig) return rules;
+
+  const matching = [
+    ignoreConfig.global || {},
+    ...(ignoreConfig.pages || []).filter((rule) =>
+      globToRegExp(rule.pattern).test(pagePath)
+    ),
+  ];
+
+  matching.forEach((rule) => {
+    rules.hide.push(...(rule.hide || []));
+    rules.mask.push(...(rule.mask || []));
+    rules.regions.push(...(rule.regions || []));
+  });
+
+  return rules;
+}
+
+// Hide the `hide` selectors before the screenshot is taken
+async function hideElements(page, selectors) {
+  if (selectors.length === 0) return;
+
+  await page.addStyleTag({
+    content: `${selectors.join(",\n")} { visibility: hidden !important; }`,
+  });
+}
+
+// Rectangles (in screenshot pixels) covered by the `mask` selectors on a
+// full-page screenshot
+async function maskedRegions(page, selectors) {
+  if (selectors.length === 0) return [];
+
+  return page.evaluate((maskSelectors) => {
+    const scale = window.devicePixelRatio || 1;
+    return maskSelectors.flatMap((selector) =>
+      [...document.querySelectorAll(selector)]
+        .map((element) => element.getBoundingClientRect())
+        .filter((rect) => rect.width > 0 && rect.height > 0)
+        .map((rect) => ({
+          x: Math.floor((rect.left + window.scrollX) * scale),
+          y: Math.floor((rect.top + window.scrollY) * scale),
+          width: Math.ceil(rect.width * scale),
+          height: Math.ceil(rect.height * scale),
+        }))
+    );
+  }, selectors);
+}
+
+// Clip a region to the image bounds and call fn(offset) for each pixel
+function forEachRegionPixel(image, region, fn) {
+  const left = Math.max(0, region.x);
+  const top = Math.max(0, region.y);
+  const right = Math.min(image.width, region.x + region.width);
+  const bottom = Math.min(image.height, region.y + region.height);
+
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      fn((y * image.width + x) * 4, x, y);
+    }
+  }
+}
+
+// Copy the source pixels into the target inside every ignored region, so
+// those pixels can never count as mismatched
+function excludeRegions(source, target, regions) {
+  regions.forEach((region) =>
+    forEachRegionPixel(target, region, (offset) => {
+      source.data.copy(target.data, offset, offset, offset + 4);
+    })
+  );
+}
+
+// Paint diagonal hatching over ignored regions of the diff image
+function hatchRegions(diff, regions) {
+  regions.forEach((region) =>
+    forEachRegionPixel(diff, region, (offset, x, y) => {
+      const shade = (x + y) % 12 < 4 ? 120 : 225;
+      diff.data[offset] = shade;
+      diff.data[offset + 1] = shade;
+      diff.data[offset + 2] = shade;
+      diff.data[offset + 3] = 255;
+    })
+  );
+}
+
+module.exports = {
+  resolveIgnoreRules,
+  hideElements,
+  maskedRegions,
+  excludeRegions,
+  hatchRegions,
+};
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const {
+  clearPageRecords,
+  writePageRecord,
+  readPageRecords,
+} = require("./results.js");
+
+// Per-page metadata comparisons, one JSON file per page
+const METADATA_RESULTS_DIR = "metadata-results";
+
+// Merged metadata comparisons of a whole run
+const METADATA_RUN_PATH = "metadata_results.json";
+
+// Remove records left over from a previous run
+function clearMetadataResults() {
+  clearPageRecords(METADATA_RESULTS_DIR);
+}
+
+// Read the SEO metadata of the loaded page: title, description, canonical,
+// robots directives (the meta tag and the X-Robots-Tag header of
+// `response`), Open Graph tags, hreflang alternates and JSON-LD structured
+// data. Unparseable JSON-LD is kept as { invalid: <text> }.
+async function extractMetadata(page, response) {
+  const metadata = await page.evaluate(() => {
+    const content = (selector) => {
+      const element = document.querySelector(selector);
+      return element ? element.getAttribute("content") : null;
+    };
+    const canonical = document.querySelector("link[rel='canonical']");
+
+    return {
+      title: document.title || null,
+      description: content("meta[name='description']"),
+      canonical: canonical ? canonical.href : null,
+      robots: content("meta[name='robots']"),
+      openGraph: Object.fromEntries(
+        [...document.querySelectorAll("meta[property^='og:']")].map((meta) => [
+          meta.getAttribute("property"),
+          meta.getAttribute("content"),
+        ])
+      ),
+      hreflang: Object.fromEntries(
+        [...document.querySelectorAll("link[rel='alternate'][hreflang]")].map(
+          (link) => [link.getAttribute("hreflang"), link.href]
+        )
+      ),
+      structuredData: [
+        ...document.querySelectorAll("script[type='application/ld+json']"),
+      ].map((script) => {
+        try {
+          return JSON.parse(script.textContent);
+        } catch (error) {
+          return { invalid: script.textContent.trim() };
+        }
+      }),
+    };
+  });
+
+  return {
+    ...metadata,
+    robotsHeader: (response && response.headers()["x-robots-tag"]) || null,
+  };
+}
+
+// Replace every occurrence of one origin with another in a metadata value,
+// so staging URLs compare equal to their prod counterparts
+function replaceOrigin(value, from, to) {
+  if (typeof value === "string") return value.split(from).join(to);
+  if (Array.isArray(value)) {
+    return value.map((item) => replaceOrigin(item, from, to));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        replaceOrigin(item, from, to),
+      ])
+    );
+  }
+  return value;
+}
+
+// JSON-LD without the keys that change on every edit (e.g. dateModified),
+// serialized for comparison
+function structuredDataKey(structuredData, ignoreKeys) {
+  return JSON.stringify(structuredData, (key, value) =>
+    ignoreKeys.includes(key) ? undefined : value
+  );
+}
+
+// The @type of every JSON-LD node, including those inside an @graph
+function structuredDataTypes(structuredData) {
+  const types = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    if (node["@type"]) types.push(...[].concat(node["@type"]));
+    if (node["@graph"]) visit(node["@graph"]);
+  };
+  visit(structuredData);
+  return types;
+}
+
+// Fields that differ between the two sides, as { field, staging, prod }.
+// Staging URLs are rewritten to the prod origin first, so only real changes
+// are reported. Structured data is reported by type when its content
+// differs.
+function diffMetadata(staging, prod, options = {}) {
+  const { stagingOrigin, prodOrigin, ignoreStructuredDataKeys = [] } = options;
+  const normalized = stagingOrigin
+    ? replaceOrigin(staging, stagingOrigin, prodOrigin)
+    : staging;
+
+  const fields = [
+    ["title", (m) => m.title],
+    ["description", (m) => m.description],
+    ["canonical", (m) => m.canonical],
+    ["robots", (m) => m.robots],
+    ...[
+      ...new Set([
+        ...Object.keys(normalized.openGraph),
+        ...Object.keys(prod.openGraph),
+      ]),
+    ].map((property) => [property, (m) => m.openGraph[property] || null]),
+    ...[
+      ...new Set([
+        ...Object.keys(normalized.hreflang),
+        ...Object.keys(prod.hreflang),
+      ]),
+    ].map((lang) => [`hreflang ${lang}`, (m) => m.hreflang[lang] || null]),
+  ];
+
+  const differences = fields
+    .filter(([, pick]) => pick(normalized) !== pick(prod))
+    .map(([field, pick]) => ({
+      field,
+      staging: pick(normalized),
+      prod: pick(prod),
+    }));
+
+  if (
+    structuredDataKey(normalized.structuredData, ignoreStructuredDataKeys) !==
+    structuredDataKey(prod.structuredData, ignoreStructuredDataKeys)
+  ) {
+    differences.push({
+      field: "structured data",
+      staging: structuredDataTypes(normalized.structuredData).join(", "),
+      prod: structuredDataTypes(prod.structuredData).join(", "),
+    });
+  }
+
+  return differences;
+}
+
+// Whether a URL points at one of the `stagingHosts` (a host or any of its
+// subdomains)
+function isStagingUrl(url, stagingHosts) {
+  try {
+    const { hostname } = new URL(url);
+    return stagingHosts.some(
+      (host) => hostname === host || hostname.endsWith(`.${host}`)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Problems that would reach prod with the deploy: a robots meta tag that
+// blocks indexing where prod allows it, and canonical, og:url or hreflang
+// URLs pointing at a staging host. The X-Robots-Tag header is not checked:
+// the hosting platform adds it to staging itself.
+function metadataIssues(staging, prod, stagingHosts = []) {
+  const blocksIndexing = (robots) => /\b(noindex|none)\b/i.test(robots || "");
+
+  return [
+    ...(blocksIndexing(staging.robots) && !blocksIndexing(prod && prod.robots)
+      ? [`robots meta tag is "${staging.robots}"`]
+      : []),
+    ...[
+      ["canonical", staging.canonical],
+      ["og:url", staging.openGraph["og:url"]],
+      ...Object.entries(staging.hreflang).map(([lang, url]) => [
+        `hreflang ${lang}`,
+        url,
+      ]),
+    ]
+      .filter(([, url]) => url && isStagingUrl(url, stagingHosts))
+      .map(([field, url]) => `${field} points at staging: ${url}`),
+  ];
+}
+
+// Write the comparison of a single page
+function writeMetadataResult(record) {
+  writePageRecord(METADATA_RESULTS_DIR, record);
+}
+
+// Merge every per-page comparison into one run document. Returns null when
+// no page was compared.
+function buildMetadataRun() {
+  const pages = readPageRecords(METADATA_RESULTS_DIR);
+  if (pages.length === 0) return null;
+
+  const run = {
+    generatedAt: new Date().toISOString(),
+    pages,
+    summary: {
+      pages: pages.length,
+      changed: pages.filter((record) => record.differences.length > 0).length,
+      flagged: pages.filter((record) => record.issues.length > 0).length,
+      errors: pages.filter((record) => record.error).length,
+    },
+  };
+
+  fs.writeFileSync(METADATA_RUN_PATH, JSON.stringify(run, null, 2));
+  return JSON.parse(fs.readFileSync(METADATA_RUN_PATH, "utf8"));
+}
+
+module.exports = {
+  METADATA_RESULTS_DIR,
+  METADATA_RUN_PATH,
+  clearMetadataResults,
+  extractMetadata,
+  diffMetadata,
+  metadataIssues,
+  writeMetadataResult,
+  buildMetadataRun,
+};
@@ -0,0 +1,112 @@
+// Who requested each URL, from the Chrome DevTools Protocol's
+// requestWillBeSent initiator: the stylesheet or document for parser
+// requests, the script at the top of the stack for script requests. Other
+// browsers have no CDP and of() returns null. Call stop() to detach.
+async function watchInitiators(page) {
+  let session;
+  try {
+    session = await page.context().newCDPSession(page);
+    await session.send("Network.enable");
+  } catch (error) {
+    return { of: () => null, stop: async () => {} };
+  }
+
+  const initiators = new Map();
+  session.on("Network.requestWillBeSent", ({ request, initiator }) => {
+    const frames = (initiator.stack && initiator.stack.callFrames) || [];
+    const source =
+      initiator.url || (frames.find((frame) => frame.url) || {}).url;
+    if (source) initiators.set(request.url, source);
+  });
+
+  return {
+    of: (url) => initiators.get(url) || null,
+    stop: () => session.detach().catch(() => {}),
+  };
+}
+
+// Record every request that fails outright or answers 4xx/5xx while a page
+// loads, except those ignore(url, resourceType) accepts. Each failure names
+// its initiator (see watchInitiators), falling back to the Referer header,
+// which for fonts and images loaded from CSS is the stylesheet, and the URL
+// of the frame it belongs to. Call stop() to detach the listeners;
+// `failures` keeps filling until then.
+async function watchNetwork(page, ignore = () => false) {
+  const failures = [];
+  const initiators = await watchInitiators(page);
+
+  // Requests from service workers have no frame
+  const frameUrlOf = (request) => {
+    try {
+      return request.frame().url();
+    } catch (error) {
+      return null;
+    }
+  };
+  const describe = (request) => ({
+    resourceType: request.resourceType(),
+    method: request.method(),
+    initiator:
+      initiators.of(request.url()) || request.headers().referer || null,
+    frameUrl: frameUrlOf(request),
+  });
+
+  const onRequestFailed = (request) => {
+    if (ignore(request.url(), request.resourceType())) return;
+    failures.push({
+      url: request.url(),
+      status: null,
+      failure: request.failure() ? request.failure().errorText : "failed",
+      ...describe(request),
+    });
+  };
+  const onResponse = (response) => {
+    if (response.status() < 400) return;
+    const request = response.request();
+    if (ignore(response.url(), request.resourceType())) return;
+    failures.push({
+      url: response.url(),
+      status: response.status(),
+      failure: response.statusText(),
+      ...describe(request),
+    });
+  };
+
+  page.on("requestfailed", onRequestFailed);
+  page.on("response", onResponse);
+
+  return {
+    failures,
+    stop: async () => {
+      page.off("requestfailed", onRequestFailed);
+      page.off("response", onResponse);
+      await initiators.stop();
+    },
+  };
+}
+
+// Scroll through the page a viewport at a time so lazy-loaded images and
+// scripts are requested, then return to the top and let the network settle
+async function scrollToLoadLazyContent(page, options = {}) {
+  const { stepDelay = 100, maxSteps = 50, settleTimeout = 10000 } = options;
+
+  await page.evaluate(
+    async ({ delay, steps }) => {
+      for (let i = 0; i < steps; i++) {
+        const before = window.scrollY;
+        window.scrollBy(0, window.innerHeight);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (window.scrollY === before) break;
+      }
+      window.scrollTo(0, 0);
+    },
+    { delay: stepDelay, steps: maxSteps }
+  );
+
+  // Some pages keep polling; a busy network shouldn't fail the capture
+  await page
+    .waitForLoadState("networkidle", { timeout: settleTimeout })
+    .catch(() => {});
+}
+
+module.exports = { watchNetwork, scrollToLoadLazyContent };
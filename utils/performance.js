@@ -0,0 +1,185 @@
+// Budgeted metrics: their labels and how to format their values
+const METRICS = {
+  lcp: { label: "LCP", format: (value) => `${(value / 1000).toFixed(2)}s` },
+  cls: { label: "CLS", format: (value) => value.toFixed(3) },
+  load: { label: "Load", format: (value) => `${(value / 1000).toFixed(2)}s` },
+  transferBytes: {
+    label: "Transfer",
+    format: (value) => `${(value / 1024 / 1024).toFixed(2)} MB`,
+  },
+  requestCount: { label: "Requests", format: (value) => String(value) },
+};
+
+// Throttle the page's network and CPU through the Chrome DevTools Protocol.
+// Returns the CDP session, to detach() once the capture is done, or null
+// when throttling doesn't apply; other browsers have no CDP and run
+// unthrottled.
+async function applyThrottling(page, throttling) {
+  if (!throttling || !throttling.enabled) return null;
+
+  let session;
+  try {
+    session = await page.context().newCDPSession(page);
+  } catch (error) {
+    return null;
+  }
+
+  await session.send("Network.enable");
+  await session.send("Network.emulateNetworkConditions", {
+    offline: false,
+    latency: throttling.latency,
+    downloadThroughput: (throttling.downloadKbps * 1024) / 8,
+    uploadThroughput: (throttling.uploadKbps * 1024) / 8,
+  });
+  await session.send("Emulation.setCPUThrottlingRate", {
+    rate: throttling.cpuSlowdown,
+  });
+  return session;
+}
+
+// Count every finished request and its transfer size (headers and body)
+// while a page loads. stop() detaches the listener and resolves to the
+// request count, total bytes and the `largest` biggest resources.
+function watchResources(page, largest = 5) {
+  const sizes = [];
+
+  const onRequestFinished = (request) => {
+    sizes.push(
+      request
+        .sizes()
+        .then((size) => ({
+          url: request.url(),
+          resourceType: request.resourceType(),
+          bytes: size.responseHeadersSize + size.responseBodySize,
+        }))
+        .catch(() => null)
+    );
+  };
+  page.on("requestfinished", onRequestFinished);
+
+  return {
+    stop: async () => {
+      page.off("requestfinished", onRequestFinished);
+      const resources = (await Promise.all(sizes)).filter(Boolean);
+
+      return {
+        requestCount: resources.length,
+        transferBytes: resources.reduce(
+          (total, resource) => total + resource.bytes,
+          0
+        ),
+        largestResources: resources
+          .sort((a, b) => b.bytes - a.bytes)
+          .slice(0, largest),
+      };
+    },
+  };
+}
+
+// Navigation timing (TTFB, DOMContentLoaded, load), LCP and CLS of the
+// loaded page, in milliseconds since navigation start. Read it before
+// scrolling, which moves both LCP and CLS. Browsers without the LCP or
+// layout-shift entry types (WebKit, and Firefox for CLS) report null.
+async function readPageTimings(page) {
+  return page.evaluate(
+    () =>
+      new Promise((resolve) => {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        let lcp = null;
+        let cls = null;
+
+        if (supported.includes("largest-contentful-paint")) {
+          new PerformanceObserver((list) => {
+            const entries = list.getEntries();
+            lcp = entries[entries.length - 1].startTime;
+          }).observe({ type: "largest-contentful-paint", buffered: true });
+        }
+
+        // CLS is the worst session window: shifts less than 1s apart,
+        // within 5s of the window's first shift
+        if (supported.includes("layout-shift")) {
+          cls = 0;
+          let session = 0;
+          let first = 0;
+          let last = 0;
+          new PerformanceObserver((list) => {
+            list.getEntries().forEach((entry) => {
+              if (entry.hadRecentInput) return;
+              if (
+                session > 0 &&
+                entry.startTime - last < 1000 &&
+                entry.startTime - first < 5000
+              ) {
+                session += entry.value;
+              } else {
+                session = entry.value;
+                first = entry.startTime;
+              }
+              last = entry.startTime;
+              cls = Math.max(cls, session);
+            });
+          }).observe({ type: "layout-shift", buffered: true });
+        }
+
+        // Buffered entries are delivered asynchronously
+        setTimeout(() => {
+          const [navigation] = performance.getEntriesByType("navigation");
+          const round = (value) =>
+            typeof value === "number" ? Math.round(value) : null;
+
+          resolve({
+            ttfb: navigation ? round(navigation.responseStart) : null,
+            domContentLoaded: navigation
+              ? round(navigation.domContentLoadedEventEnd)
+              : null,
+            load: navigation ? round(navigation.loadEventEnd) : null,
+            lcp: round(lcp),
+            cls: cls === null ? null : Number(cls.toFixed(4)),
+          });
+        }, 100);
+      })
+  );
+}
+
+// Budgets the metrics exceed, as { metric, value, budget }. A budget of
+// null, or a metric the browser could not measure, is not checked.
+function budgetViolations(metrics, budgets) {
+  if (!metrics) return [];
+
+  return Object.entries(budgets || {})
+    .filter(
+      ([metric, budget]) =>
+        typeof budget === "number" &&
+        typeof metrics[metric] === "number" &&
+        metrics[metric] > budget
+    )
+    .map(([metric, budget]) => ({ metric, value: metrics[metric], budget }));
+}
+
+// A page that passed the visual check still fails when it is over budget
+function statusWithBudgets(status, result, performanceConfig) {
+  return status === "pass" &&
+    performanceConfig.failOnBudget &&
+    (result.budgetViolations || []).length > 0
+    ? "fail"
+    : status;
+}
+
+// "LCP 3.10s > 2.50s"
+function formatViolation(violation) {
+  const { label, format } = METRICS[violation.metric] || {
+    label: violation.metric,
+    format: String,
+  };
+  return `${label} ${format(violation.value)} > ${format(violation.budget)}`;
+}
+
+module.exports = {
+  METRICS,
+  applyThrottling,
+  watchResources,
+  readPageTimings,
+  budgetViolations,
+  statusWithBudgets,
+  formatViolation,
+};
@@ -0,0 +1,234 @@
+const fs = require("fs");
+const {
+  openForm,
+  fillForm,
+  submitForm,
+  confirmationMatches,
+} = require("./forms.js");
+const {
+  interceptSubmissions,
+  servesStubConfirmation,
+  expectedPayload,
+  payloadProblems,
+} = require("./dryRun.js");
+
+// Every selectable option of a dropdown, without the empty placeholder
+async function readProgramOptions(page, selector) {
+  return page
+    .locator(`${selector} option`)
+    .evaluateAll((options) =>
+      options
+        .filter((option) => option.value)
+        .map((option) => ({
+          value: option.value,
+          label: option.textContent.trim(),
+        }))
+    );
+}
+
+// The program field of a form spec
+function programFieldOf(spec) {
+  return spec.fields.find((field) => field.name === spec.programCoverage.field);
+}
+
+// Open the form on a program page and see whether it preselects, or at
+// least offers, the program code the page is expected to use
+async function checkProgramPage(page, spec, baseUrl, pagePath, expectedCode) {
+  const { selector } = programFieldOf(spec);
+
+  try {
+    await openForm(page, { ...spec, page: pagePath }, baseUrl);
+    const selected = await page.inputValue(selector);
+    const offered = (await readProgramOptions(page, selector)).map(
+      (option) => option.value
+    );
+
+    return {
+      pagePath,
+      expectedCode,
+      selected,
+      status:
+        selected === expectedCode
+          ? "preselected"
+          : offered.includes(expectedCode)
+          ? "offered"
+          : "missing",
+    };
+  } catch (error) {
+    return {
+      pagePath,
+      expectedCode,
+      selected: null,
+      status: "error",
+      error: error.message,
+    };
+  }
+}
+
+// The confirmation a live submission of `code` should reach: the spec's
+// `confirmation` with `programCoverage.confirmations[code]` (a `url`
+// pattern and/or `text`) laid over it
+function confirmationFor(spec, code) {
+  const confirmations = spec.programCoverage.confirmations || {};
+  return { ...spec.confirmation, ...confirmations[code] };
+}
+
+// Submit the form once with a program selected. Unless `live` is set the
+// submission is intercepted and only its payload is checked: it must carry
+// the program code. Live submissions must reach the program's confirmation.
+async function submitProgram(page, spec, baseUrl, code, live = false) {
+  const interception = live
+    ? null
+    : await interceptSubmissions(page, spec, baseUrl);
+
+  try {
+    await openForm(page, spec, baseUrl);
+    const filled = await fillForm(page, spec, {
+      [spec.programCoverage.field]: code,
+    });
+    const expected = interception
+      ? await expectedPayload(page, spec, filled)
+      : null;
+    const confirmation = await submitForm(page, spec);
+    const target = interception
+      ? spec.confirmation
+      : confirmationFor(spec, code);
+    const problems = interception
+      ? payloadProblems(spec, interception.submissions[0], expected)
+      : [];
+    if (
+      !interception &&
+      target.url &&
+      !new RegExp(target.url).test(confirmation.url)
+    ) {
+      problems.push(`expected a URL matching ${target.url}`);
+    }
+    // A stub confirmation always matches, so only the payload counts
+    const confirmed =
+      (interception && servesStubConfirmation(spec)) ||
+      confirmationMatches({ confirmation: target }, confirmation.text);
+
+    return {
+      status: confirmed && problems.length === 0 ? "pass" : "fail",
+      url: confirmation.url,
+      text: confirmation.text,
+      dryRun: !live,
+      ...(problems.length > 0 ? { error: problems.join("; ") } : {}),
+    };
+  } catch (error) {
+    return { status: "error", error: error.message };
+  } finally {
+    if (interception) await interception.stop();
+  }
+}
+
+// Program landing pages that were discovered but that the spec's
+// `programCoverage.pages` doesn't map to a code, so they go unchecked
+function unmappedProgramPages(spec, pagePaths, programPages) {
+  const mapped = spec.programCoverage.pages || {};
+  const discovered = new Set(pagePaths);
+
+  return programPages
+    .filter((pagePath) => discovered.has(pagePath) && !(pagePath in mapped))
+    .sort();
+}
+
+// Run the coverage check for one form spec. Every dropdown option becomes a
+// row of the matrix with the program pages expected to use it and, when
+// `submit` is on, the outcome of submitting once with that program
+// (intercepted unless `live` is on). Discovered `pagePaths` that are in
+// `programPages` but missing from the spec's map are listed as unmapped.
+async function runProgramCoverage(page, spec, baseUrl, options = {}) {
+  const { selector } = programFieldOf(spec);
+  const expectedPages = spec.programCoverage.pages || {};
+
+  await openForm(page, spec, baseUrl);
+  const programOptions = await readProgramOptions(page, selector);
+
+  const pageChecks = [];
+  for (const [pagePath, expectedCode] of Object.entries(expectedPages)) {
+    pageChecks.push(
+      await checkProgramPage(page, spec, baseUrl, pagePath, expectedCode)
+    );
+  }
+
+  const rows = [];
+  for (const option of programOptions) {
+    rows.push({
+      code: option.value,
+      label: option.label,
+      pages: pageChecks.filter((check) => check.expectedCode === option.value),
+      submission: options.submit
+        ? await submitProgram(page, spec, baseUrl, option.value, options.live)
+        : null,
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    formId: spec.id,
+    formName: spec.name,
+    environment: baseUrl,
+    submitted: !!options.submit,
+    live: !!options.live,
+    mappedPages: Object.keys(expectedPages).length,
+    unmappedPages: unmappedProgramPages(
+      spec,
+      options.pagePaths || [],
+      options.programPages || []
+    ),
+    rows,
+    // Program pages whose code is not an option of the form at all
+    unmatchedPages: pageChecks.filter(
+      (check) =>
+        !programOptions.some((option) => option.value === check.expectedCode)
+    ),
+  };
+}
+
+// Problems worth failing on: a program page that neither preselects nor
+// offers its code, or a submission that didn't reach the confirmation
+function programCoverageProblems(coverage) {
+  return [
+    ...coverage.rows.flatMap((row) => [
+      ...row.pages
+        .filter(
+          (check) => check.status === "missing" || check.status === "error"
+        )
+        .map(
+          (check) =>
+            `${check.pagePath} does not offer ${row.code}${
+              check.error ? ` (${check.error})` : ""
+            }`
+        ),
+      ...(row.submission && row.submission.status !== "pass"
+        ? [
+            `Submitting ${row.code} ended with ${row.submission.status}: ${
+              row.submission.error || row.submission.text
+            }`,
+          ]
+        : []),
+    ]),
+    ...coverage.unmatchedPages.map(
+      (check) =>
+        `${check.pagePath} expects ${check.expectedCode}, which the form does not list`
+    ),
+  ];
+}
+
+// Write the coverage of one form as JSON and read it back
+function writeProgramCoverage(coverage) {
+  const resultsPath = `program_coverage_${coverage.formId}.json`;
+  fs.writeFileSync(resultsPath, JSON.stringify(coverage, null, 2));
+  return JSON.parse(fs.readFileSync(resultsPath, "utf8"));
+}
+
+module.exports = {
+  readProgramOptions,
+  checkProgramPage,
+  submitProgram,
+  unmappedProgramPages,
+  runProgramCoverage,
+  programCoverageProblems,
+  writeProgramCoverage,
+};
@@ -0,0 +1,1318 @@
+const fs = require("fs");
+const config = require("../config.js");
+const { htmlTemplate } = require("./html.js");
+const { METRICS, formatViolation } = require("./performance.js");
+
+// Describe the threshold rule a result was judged by
+function formatThresholdRule(result) {
+  const threshold = result.threshold || {
+    rule: "default",
+    ...config.thresholds.default,
+  };
+  return htmlTemplate`${threshold.rule}<br>min ${threshold.minSimilarity}%, tolerance ${threshold.pixelThreshold}`;
+}
+
+// Describe which vertical bands of the page changed
+function formatChangedRegions(result) {
+  const notes = (result.segments || [])
+    .filter((segment) => segment.similarityPercentage < 99)
+    .map(
+      (segment, i) =>
+        htmlTemplate`${i > 0 ? htmlTemplate`<br>` : ""}${segment.top}&ndash;${
+          segment.bottom
+        }px: ${segment.similarityPercentage.toFixed(2)}%`
+    );
+
+  return notes.length > 0 ? notes : htmlTemplate`&mdash;`;
+}
+
+// List the requests that failed or answered 4xx/5xx while each side loaded
+function formatNetworkFailures(result) {
+  const shown = 5;
+  const sides = Object.entries(result.networkFailures || {}).filter(
+    ([, failures]) => failures.length > 0
+  );
+  if (sides.length === 0) return htmlTemplate`&mdash;`;
+
+  return sides.map(
+    ([side, failures]) => htmlTemplate`<div class="network-failures">
+          <strong>${side}</strong>: ${failures.length} failed
+          ${failures
+            .slice(0, shown)
+            .map(
+              (failure) =>
+                htmlTemplate`<div title="Requested by ${
+                  failure.initiator || "unknown"
+                }${failure.frameUrl ? ` in frame ${failure.frameUrl}` : ""}">${
+                  failure.status || failure.failure
+                } ${failure.resourceType} ${failure.url}</div>`
+            )}
+          ${
+            failures.length > shown
+              ? htmlTemplate`<div>and ${failures.length - shown} more</div>`
+              : ""
+          }
+        </div>`
+  );
+}
+
+// Labels for the two sides of a comparison
+function sideLabels(mode) {
+  return mode === "regression" ? ["baseline", "current"] : ["staging", "prod"];
+}
+
+// Budgeted metrics of each captured side, the difference between the two
+// sides, and the checked side's largest resources. Metrics over budget are
+// red; "throttled" marks sides captured under the throttling profile.
+function formatPerformance(result) {
+  const sides = Object.entries(result.performance || {}).filter(
+    ([, metrics]) => Object.keys(metrics).length > 0
+  );
+  if (sides.length === 0) return htmlTemplate`&mdash;`;
+
+  const overBudget = new Set(
+    (result.budgetViolations || []).map((violation) => violation.metric)
+  );
+  const [checked] = sides;
+  const value = (metrics, metric) =>
+    typeof metrics[metric] === "number"
+      ? METRICS[metric].format(metrics[metric])
+      : "n/a";
+  const delta = (metric) => {
+    const [a, b] = sides.map(([, metrics]) => metrics[metric]);
+    if (typeof a !== "number" || typeof b !== "number") return "";
+    return `${a - b > 0 ? "+" : ""}${METRICS[metric].format(a - b)}`;
+  };
+  const largest = checked[1].largestResources || [];
+
+  return htmlTemplate`<table class="performance">
+          <tr><th></th>${sides.map(
+            ([env, metrics]) =>
+              htmlTemplate`<th>${env}${
+                metrics.throttled ? " (throttled)" : ""
+              }</th>`
+          )}${sides.length > 1 ? htmlTemplate`<th>&Delta;</th>` : ""}</tr>
+          ${Object.entries(METRICS).map(
+            ([metric, { label }]) =>
+              htmlTemplate`<tr><td>${label}</td>${sides.map(
+                ([env, metrics]) =>
+                  htmlTemplate`<td class="${
+                    env === checked[0] && overBudget.has(metric) ? "fail" : ""
+                  }">${value(metrics, metric)}</td>`
+              )}${
+                sides.length > 1 ? htmlTemplate`<td>${delta(metric)}</td>` : ""
+              }</tr>`
+          )}
+        </table>${
+          largest.length > 0
+            ? htmlTemplate`<details class="largest-resources"><summary>Largest on ${
+                checked[0]
+              }</summary>${largest.map(
+                (resource) =>
+                  htmlTemplate`<div title="${
+                    resource.url
+                  }">${METRICS.transferBytes.format(resource.bytes)} ${
+                    resource.resourceType
+                  }: ${resource.url}</div>`
+              )}</details>`
+            : ""
+        }`;
+}
+
+// Whether the two screenshots of a result had different dimensions
+function isSizeMismatch(result) {
+  const { dimensions } = result;
+  if (result.similarityPercentage === "Size mismatch") return true;
+  return (
+    !!dimensions &&
+    (dimensions.staging.width !== dimensions.prod.width ||
+      dimensions.staging.height !== dimensions.prod.height)
+  );
+}
+
+// Status cell: the outcome, plus the size mismatch, the exceeded performance
+// budgets and the captured error message where they apply
+function renderStatus(result, mode) {
+  const [before, after] = sideLabels(mode);
+  const { dimensions } = result;
+  const sizeNote = isSizeMismatch(result)
+    ? htmlTemplate`<div class="size-mismatch">Size mismatch${
+        dimensions
+          ? htmlTemplate`: ${before} ${dimensions.staging.width}&times;${dimensions.staging.height}px, ${after} ${dimensions.prod.width}&times;${dimensions.prod.height}px`
+          : ""
+      }</div>`
+    : "";
+  const budgetNote =
+    (result.budgetViolations || []).length > 0
+      ? htmlTemplate`<div class="over-budget">Over budget: ${result.budgetViolations
+          .map(formatViolation)
+          .join(", ")}</div>`
+      : "";
+
+  if (result.status === "error") {
+    return htmlTemplate`<span class="error">Error</span>${sizeNote}
+      <div class="error-message">${
+        result.error || result.similarityPercentage
+      }</div>`;
+  }
+  if (result.status === "missing") {
+    return htmlTemplate`<span class="missing">${result.similarityPercentage}</span>`;
+  }
+  return htmlTemplate`<span class="${result.status}">${
+    result.status === "pass" ? "Pass" : "Fail"
+  }</span>${sizeNote}${budgetNote}`;
+}
+
+// File name of a device's self-contained report bundle
+function bundlePathFor(deviceName) {
+  return `visual_comparison_report_${deviceName}_bundle.html`;
+}
+
+// Header listing what the run covered: devices, thresholds, URL count and
+// the commit of this suite it ran from
+function renderRunConfig(run) {
+  if (!run.config) return "";
+  const { devices, thresholds, urlCount, gitCommit } = run.config;
+  const overrides = (thresholds.overrides || [])
+    .map(
+      (rule) =>
+        `${rule.pattern}: ${Object.entries(rule)
+          .filter(([key]) => key !== "pattern")
+          .map(([key, value]) => `${key} ${value}`)
+          .join(", ")}`
+    )
+    .join("; ");
+
+  return htmlTemplate`
+      <div class="run-config">
+        <p>Mode: ${run.mode} | Devices: ${devices.join(
+    ", "
+  )} | URLs: ${urlCount} | Commit: ${gitCommit || "unknown"}</p>
+        <p>Thresholds: min ${thresholds.default.minSimilarity}%, tolerance ${
+    thresholds.default.pixelThreshold
+  }${overrides ? ` (overrides: ${overrides})` : ""}</p>
+      </div>
+  `;
+}
+
+// Directory prefixes a page belongs to, one and two levels deep, e.g.
+// "/degrees/nursing/msn/" -> ["/degrees/", "/degrees/nursing/"]
+function sectionsFor(pagePath) {
+  const segments = pagePath.split("/").filter(Boolean);
+  return segments
+    .slice(0, Math.min(2, segments.length - 1))
+    .map((_, i) => `/${segments.slice(0, i + 1).join("/")}/`);
+}
+
+// Whether the visible text differs between the two sides
+function hasTextChanges(result) {
+  return !!result.textDiff && result.textDiff.hunks.length > 0;
+}
+
+// Diff hunks with added and removed lines highlighted; prod is the "before"
+// side, so added lines are new on staging
+function renderDiffHunks(diff) {
+  const marks = { same: " ", added: "+", removed: "-" };
+  return diff.hunks.map(
+    (hunk) =>
+      htmlTemplate`<div class="diff-hunk">${hunk.map(
+        (line) =>
+          htmlTemplate`<div class="diff-${line.type}">${marks[line.type]} ${
+            line.text
+          }</div>`
+      )}</div>`
+  );
+}
+
+// Text changes between staging and prod, with the diff of the visible text
+// and of the DOM outline behind toggles, and links to the saved text. A
+// bundle has no files next to it, so it shows the saved text inline.
+function formatTextChanges(result, bundled) {
+  const files = Object.entries(result.content || {})
+    .filter(([, paths]) => fs.existsSync(paths.text))
+    .map(([env, paths]) =>
+      bundled
+        ? htmlTemplate`<details class="text-diff"><summary class="${env}">${env} text</summary><div class="diff-hunk">${fs.readFileSync(
+            paths.text,
+            "utf8"
+          )}</div></details>`
+        : htmlTemplate`<a href="${paths.text}" class="${env}">${env} text</a>`
+    );
+  const links =
+    files.length > 0
+      ? htmlTemplate`<div class="content-links">${files.map((link, index) =>
+          index > 0 && !bundled ? htmlTemplate` | ${link}` : link
+        )}</div>`
+      : "";
+
+  if (!result.textDiff) {
+    return files.length > 0 ? links : htmlTemplate`&mdash;`;
+  }
+  const { textDiff, outlineDiff } = result;
+
+  return htmlTemplate`
+          ${
+            hasTextChanges(result)
+              ? htmlTemplate`<details class="text-diff"><summary><span class="diff-added">+${
+                  textDiff.added
+                }</span> / <span class="diff-removed">-${
+                  textDiff.removed
+                }</span> lines</summary>${renderDiffHunks(textDiff)}</details>`
+              : htmlTemplate`<span class="pass">No text changes</span>`
+          }
+          ${
+            outlineDiff && outlineDiff.hunks.length > 0
+              ? htmlTemplate`<details class="text-diff"><summary>Outline: +${
+                  outlineDiff.added
+                } / -${outlineDiff.removed}</summary>${renderDiffHunks(
+                  outlineDiff
+                )}</details>`
+              : ""
+          }
+          ${links}`;
+}
+
+// One result row. Only screenshots that exist are shown; the tests delete a
+// page's screenshots before capturing it, so whatever exists is from this
+// run and an errored side simply has no image. A bundle can't carry the
+// trace, so it leaves the link out.
+function renderResultRow(run, result, imageSrc, bundled) {
+  const images = (result.images || []).filter((image) =>
+    fs.existsSync(image.path)
+  );
+  const [compareA, compareB] = images.filter((image) => image.label !== "Diff");
+  const compared = typeof result.similarityPercentage === "number";
+  const sizeMismatch = isSizeMismatch(result);
+  const hasTrace = !bundled && result.trace && fs.existsSync(result.trace);
+
+  return htmlTemplate`
+      <tr class="row-${result.status}${sizeMismatch ? " size-mismatch" : ""}${
+    hasTextChanges(result) ? " text-changed" : ""
+  }" data-status="${result.status}" data-path="${
+    result.pagePath
+  }" data-similarity="${compared ? result.similarityPercentage : ""}">
+        <td><div class="page-path">${result.pagePath}</div>
+            <a href="${run.environments.staging}${
+    result.pagePath
+  }" class="staging">Staging</a> |
+            <a href="${run.environments.prod}${
+    result.pagePath
+  }" class="prod">Prod</a>
+            ${
+              hasTrace
+                ? htmlTemplate`<div><a href="${result.trace}" class="trace-link" title="Open with: npx playwright show-trace ${result.trace}">Playwright trace</a></div>`
+                : ""
+            }
+        </td>
+        <td>${
+          compared
+            ? `${result.similarityPercentage.toFixed(2)}%`
+            : htmlTemplate`&mdash;`
+        }</td>
+        <td>${
+          compared ? formatChangedRegions(result) : htmlTemplate`&mdash;`
+        }</td>
+        <td>${formatTextChanges(result, bundled)}</td>
+        <td>${renderStatus(result, run.mode)}</td>
+        <td>${formatNetworkFailures(result)}</td>
+        <td>${formatPerformance(result)}</td>
+        <td>${
+          compared ? formatThresholdRule(result) : htmlTemplate`&mdash;`
+        }</td>
+        <td>
+          ${
+            images.length > 0
+              ? images.map(
+                  (image) =>
+                    htmlTemplate`<div class="thumbnail-wrapper"><img src="${imageSrc(
+                      image,
+                      "thumbnail"
+                    )}" data-full="${imageSrc(image, "full")}" alt="${
+                      image.label
+                    }"><div class="thumbnail-label">${image.label}</div></div>`
+                )
+              : htmlTemplate`<span class="no-screenshots">No screenshots</span>`
+          }
+          ${
+            compareB
+              ? htmlTemplate`<div><button class="compare-button" data-a="${imageSrc(
+                  compareA,
+                  "full"
+                )}" data-b="${imageSrc(compareB, "full")}" data-label-a="${
+                  compareA.label
+                }" data-label-b="${compareB.label}">Compare</button></div>`
+              : ""
+          }
+        </td>
+      </tr>
+    `;
+}
+
+// Generate the HTML report for one device of a run document. The page is
+// self-contained: filtering, search, sorting and the compare viewer are
+// inline scripts, so it still works when opened from disk. `images` maps a
+// screenshot path to the { thumbnail, full } sources to use instead, which
+// is how the bundle embeds them; a bundle also inlines the saved text and
+// has no trace links. Every value is escaped through `htmlTemplate`.
+function generateHtmlReport(run, deviceRun, options = {}) {
+  const deviceName = deviceRun.name;
+  const { summary } = deviceRun;
+  const reportPath =
+    options.reportPath || `visual_comparison_report_${deviceName}.html`;
+  const downloadPath = config.report.bundle
+    ? bundlePathFor(deviceName)
+    : reportPath;
+  const imageSrc = (image, size) =>
+    options.images && options.images[image.path]
+      ? options.images[image.path][size]
+      : image.path;
+  const now = new Date(run.generatedAt).toLocaleString();
+  const environments = htmlTemplate`
+    <a href="${run.environments.staging}" target="_blank" class="staging">Staging</a>,
+    <a href="${run.environments.prod}" target="_blank" class="prod">Prod</a>
+  `;
+  const passed = (r) => r.status === "pass";
+
+  // Sort results: Failures first, then Pass
+  const results = [...deviceRun.results].sort(
+    (a, b) => (passed(a) ? 1 : 0) - (passed(b) ? 1 : 0)
+  );
+  const sections = [
+    ...new Set(results.flatMap((r) => sectionsFor(r.pagePath))),
+  ].sort();
+
+  const htmlContent = htmlTemplate`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Report - ${deviceName}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        th.sortable { cursor: pointer; user-select: none; }
+        th.sortable::after { content: " \\2195"; color: #999; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .missing { color: #666; font-weight: bold; }
+        .row-error { background-color: #fff4e5; }
+        .row-missing { background-color: #f5f5f5; }
+        div.size-mismatch { color: #b35c00; font-size: 13px; }
+        .error-message { font-family: monospace; font-size: 12px; text-align: left; white-space: pre-wrap; max-width: 400px; margin: 5px auto; }
+        .trace-link { font-size: 13px; }
+        .network-failures { font-family: monospace; font-size: 12px; text-align: left; word-break: break-all; max-width: 400px; margin: 5px auto; }
+        .no-screenshots { color: #999; }
+        .text-diff { text-align: left; max-width: 500px; margin: 5px auto; }
+        .text-diff summary { cursor: pointer; }
+        .diff-hunk { font-family: monospace; font-size: 12px; white-space: pre-wrap; word-break: break-word; border-top: 1px solid #ddd; padding: 4px 0; }
+        .diff-added { background-color: #e6ffec; color: #116329; }
+        .diff-removed { background-color: #ffebe9; color: #82071e; }
+        .diff-same { color: #666; }
+        .content-links { font-size: 12px; margin-top: 4px; }
+        table.performance { width: auto; margin: 0 auto; font-size: 12px; }
+        table.performance th, table.performance td { padding: 2px 6px; }
+        .over-budget { color: #b35c00; font-size: 13px; }
+        .largest-resources { font-size: 12px; text-align: left; max-width: 400px; margin: 5px auto; word-break: break-all; }
+        img { max-width: 200px; cursor: pointer; margin: 5px; }
+        .staging { color: rgb(255, 165, 0); font-weight: bold; }
+        .prod { color: rgb(0, 0, 255); font-weight: bold; }
+        .page-path { font-family: monospace; margin-bottom: 4px; }
+        .thumbnail-wrapper { display: inline-block; text-align: center; margin: 5px; }
+        .thumbnail-label { font-size: 12px; font-weight: bold; margin-top: 5px; }
+        .filters { display: flex; flex-wrap: wrap; gap: 10px; justify-content: center; align-items: center; margin: 20px 0; }
+        .filters input[type=search] { width: 280px; padding: 6px; }
+        .filters select { padding: 6px; }
+        .compare-button { padding: 4px 10px; cursor: pointer; }
+        .modal { display: none; position: fixed; z-index: 1000; padding: 50px; left: 0; top: 0; width: 100%; height: 100%; overflow: auto; background-color: rgba(0,0,0,0.8); box-sizing: border-box; }
+        .modal img { margin: auto; display: block; max-width: 90%; max-height: 90%; }
+        .modal-close { position: absolute; top: 20px; right: 30px; font-size: 30px; font-weight: bold; color: white; cursor: pointer; }
+        .run-config { text-align: center; color: #555; font-size: 14px; }
+        .download-button { display: block; text-align: center; margin: 20px auto; padding: 10px 20px; font-size: 18px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px; width: 200px; }
+        #compare-modal { overflow: hidden; }
+        .compare-toolbar { display: flex; gap: 10px; align-items: center; color: white; margin-bottom: 10px; }
+        .compare-toolbar button.active { background-color: #4CAF50; color: white; }
+        .compare-stage { position: relative; height: calc(100% - 50px); overflow: auto; background-color: white; }
+        .compare-stage img { max-width: none; max-height: none; margin: 0; cursor: default; display: block; }
+        .compare-stage.overlay .compare-pane-b { position: absolute; top: 0; left: 0; }
+        .compare-stage.side { display: flex; gap: 4px; overflow: hidden; background-color: transparent; }
+        .compare-stage.side .compare-pane { flex: 1; overflow: auto; height: 100%; background-color: white; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <h2>Device: ${deviceName}</h2>
+      <div class="summary">
+        <p>Total Pages Tested: ${summary.total}</p>
+        <p>Failed: ${summary.fail}</p>
+        <p>Passed: ${summary.pass}</p>
+        <p>Errors: ${summary.error}</p>
+        <p>Missing on Prod: ${
+          results.filter((r) => r.similarityPercentage === "Missing on prod")
+            .length
+        }</p>
+        <p>Missing on Staging: ${
+          results.filter((r) => r.similarityPercentage === "Missing on staging")
+            .length
+        }</p>
+        <p>Last Run: ${now}</p>
+        <p>Environments Tested: ${environments}</p>
+        <a href="${downloadPath}" download class="download-button">Download Report</a>
+      </div>
+      ${renderRunConfig(run)}
+      <div class="filters">
+        <input type="search" id="filter-search" placeholder="Search page paths...">
+        <select id="filter-status">
+          <option value="">All statuses</option>
+          <option value="pass">Pass</option>
+          <option value="fail">Fail</option>
+          <option value="error">Error</option>
+          <option value="missing">Missing</option>
+          <option value="size-mismatch">Size mismatch</option>
+          <option value="text-changed">Text changed</option>
+        </select>
+        <select id="filter-section">
+          <option value="">All sections</option>
+          ${sections.map(
+            (section) => htmlTemplate`
+          <option value="${section}">${section}</option>`
+          )}
+        </select>
+        <span id="filter-count"></span>
+      </div>
+      <table id="results">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th class="sortable" data-sort="similarity">Similarity</th>
+            <th>Changed Regions</th>
+            <th>Text Changes</th>
+            <th>Status</th>
+            <th>Failed Resources</th>
+            <th>Performance</th>
+            <th>Rule</th>
+            <th>Thumbnails</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${results.map((result) =>
+            renderResultRow(run, result, imageSrc, !!options.images)
+          )}
+        </tbody>
+      </table>
+
+      <div id="modal" class="modal">
+        <span class="modal-close" onclick="closeModal()">&times;</span>
+        <img id="modal-image">
+      </div>
+
+      <div id="compare-modal" class="modal">
+        <span class="modal-close" onclick="closeCompare()">&times;</span>
+        <div class="compare-toolbar">
+          <button data-mode="swipe">Swipe</button>
+          <button data-mode="onion">Onion Skin</button>
+          <button data-mode="side">Side by Side</button>
+          <input type="range" id="compare-slider" min="0" max="100" value="50">
+          <button onclick="zoomBy(0.8)">&minus;</button>
+          <button onclick="zoomBy(1.25)">+</button>
+          <button onclick="fitZoom()">Fit</button>
+          <span id="compare-labels"></span>
+        </div>
+        <div id="compare-stage" class="compare-stage overlay">
+          <div class="compare-pane compare-pane-a"><img id="compare-a"></div>
+          <div class="compare-pane compare-pane-b"><img id="compare-b"></div>
+        </div>
+      </div>
+
+      <script>
+        function openModal(imageSrc) {
+          document.getElementById("modal-image").src = imageSrc;
+          document.getElementById("modal").style.display = "block";
+        }
+        function closeModal() {
+          document.getElementById("modal").style.display = "none";
+        }
+        document.querySelectorAll(".thumbnail-wrapper img").forEach((image) =>
+          image.addEventListener("click", () => openModal(image.dataset.full))
+        );
+
+        // Filtering, search and sorting
+        const rows = [...document.querySelectorAll("#results > tbody > tr")];
+        const search = document.getElementById("filter-search");
+        const statusFilter = document.getElementById("filter-status");
+        const sectionFilter = document.getElementById("filter-section");
+
+        function applyFilters() {
+          const query = search.value.trim().toLowerCase();
+          let shown = 0;
+          rows.forEach((row) => {
+            const visible =
+              (!statusFilter.value ||
+                row.dataset.status === statusFilter.value ||
+                row.classList.contains(statusFilter.value)) &&
+              (!sectionFilter.value || row.dataset.path.startsWith(sectionFilter.value)) &&
+              (!query || row.dataset.path.toLowerCase().includes(query));
+            row.style.display = visible ? "" : "none";
+            if (visible) shown++;
+          });
+          document.getElementById("filter-count").textContent =
+            "Showing " + shown + " of " + rows.length;
+        }
+        [search, statusFilter, sectionFilter].forEach((input) =>
+          input.addEventListener("input", applyFilters)
+        );
+        applyFilters();
+
+        let sortAscending = true;
+        document.querySelector("th[data-sort=similarity]").addEventListener("click", () => {
+          const value = (row) =>
+            row.dataset.similarity === "" ? -1 : parseFloat(row.dataset.similarity);
+          const tbody = document.querySelector("#results > tbody");
+          rows
+            .sort((a, b) => (sortAscending ? 1 : -1) * (value(a) - value(b)))
+            .forEach((row) => tbody.appendChild(row));
+          sortAscending = !sortAscending;
+        });
+
+        // Compare viewer: swipe, onion skin and side by side with shared zoom
+        const stage = document.getElementById("compare-stage");
+        const imageA = document.getElementById("compare-a");
+        const imageB = document.getElementById("compare-b");
+        const slider = document.getElementById("compare-slider");
+        let compareMode = "swipe";
+        let zoom = 1;
+
+        function applyZoom() {
+          [imageA, imageB].forEach((image) => {
+            image.style.width = image.naturalWidth * zoom + "px";
+          });
+        }
+        function zoomBy(factor) {
+          zoom *= factor;
+          applyZoom();
+        }
+        function fitZoom() {
+          const pane = compareMode === "side" ? stage.firstElementChild : stage;
+          zoom = imageA.naturalWidth ? pane.clientWidth / imageA.naturalWidth : 1;
+          applyZoom();
+        }
+        function applySlider() {
+          const value = slider.value;
+          imageB.style.clipPath =
+            compareMode === "swipe" ? "inset(0 " + (100 - value) + "% 0 0)" : "";
+          imageB.style.opacity = compareMode === "onion" ? value / 100 : 1;
+        }
+        function setCompareMode(mode) {
+          compareMode = mode;
+          stage.className = "compare-stage " + (mode === "side" ? "side" : "overlay");
+          slider.style.visibility = mode === "side" ? "hidden" : "visible";
+          document.querySelectorAll(".compare-toolbar [data-mode]").forEach((button) =>
+            button.classList.toggle("active", button.dataset.mode === mode)
+          );
+          applySlider();
+          fitZoom();
+        }
+        function openCompare(button) {
+          imageA.src = button.dataset.a;
+          imageB.src = button.dataset.b;
+          document.getElementById("compare-labels").textContent =
+            button.dataset.labelA + " / " + button.dataset.labelB;
+          document.getElementById("compare-modal").style.display = "block";
+          imageA.onload = () => setCompareMode(compareMode);
+          setCompareMode(compareMode);
+        }
+        function closeCompare() {
+          document.getElementById("compare-modal").style.display = "none";
+        }
+
+        document.querySelectorAll(".compare-toolbar [data-mode]").forEach((button) =>
+          button.addEventListener("click", () => setCompareMode(button.dataset.mode))
+        );
+        slider.addEventListener("input", applySlider);
+        document.querySelectorAll(".compare-button").forEach((button) =>
+          button.addEventListener("click", () => openCompare(button))
+        );
+
+        // Keep both panes scrolled to the same spot in side-by-side mode
+        const panes = [...stage.children];
+        let syncing = false;
+        panes.forEach((pane) =>
+          pane.addEventListener("scroll", () => {
+            if (syncing) return;
+            syncing = true;
+            panes
+              .filter((other) => other !== pane)
+              .forEach((other) => {
+                other.scrollTop = pane.scrollTop;
+                other.scrollLeft = pane.scrollLeft;
+              });
+            syncing = false;
+          })
+        );
+
+        document.addEventListener("keydown", (event) => {
+          if (event.key === "Escape") {
+            closeModal();
+            closeCompare();
+          }
+        });
+      </script>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent.toString());
+}
+
+// One line per violation: impact, rule (linked to its axe-core help page),
+// WCAG criteria and the offending element
+function renderViolations(violations) {
+  return violations.map(
+    (violation) => htmlTemplate`
+          <li><span class="impact-${violation.impact}">${
+      violation.impact
+    }</span> <a href="${violation.helpUrl}">${violation.rule}</a>${
+      violation.wcag.length > 0 ? ` (${violation.wcag.join(", ")})` : ""
+    }: <code>${violation.selector}</code></li>`
+  );
+}
+
+// Accessibility section of the index page: violations by impact on each
+// side, then per page what staging introduced, what prod already has and
+// what staging fixed
+function renderAccessibilitySection(accessibility) {
+  if (!accessibility) return "";
+  const { summary } = accessibility;
+  const total = (counts) =>
+    Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const sideCell = (violations, error) =>
+    error
+      ? htmlTemplate`<span class="error" title="${error}">Error</span>`
+      : violations
+      ? violations.length
+      : htmlTemplate`&mdash;`;
+
+  return htmlTemplate`
+      <h2>Accessibility</h2>
+      <div class="summary">
+        <p>${summary.pages} pages audited: ${total(
+    summary.introduced
+  )} violations introduced on staging, ${summary.fixed} fixed.${
+    summary.unknown > 0
+      ? ` ${summary.unknown} pages could not be compared: prod failed to load.`
+      : ""
+  }</p>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Impact</th>
+            <th>Staging</th>
+            <th>Prod</th>
+            <th>Introduced</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${Object.keys(summary.staging).map(
+            (impact) => htmlTemplate`
+          <tr>
+            <td class="impact-${impact}">${impact}</td>
+            <td>${summary.staging[impact]}</td>
+            <td>${summary.prod[impact]}</td>
+            <td class="${summary.introduced[impact] > 0 ? "fail" : "pass"}">${
+              summary.introduced[impact]
+            }</td>
+          </tr>`
+          )}
+        </tbody>
+      </table>
+      <table class="accessibility">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Staging</th>
+            <th>Prod</th>
+            <th>Introduced on Staging</th>
+            <th>Fixed on Staging</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${accessibility.pages.map(
+            (record) => htmlTemplate`
+          <tr>
+            <td><a href="${record.urls.staging}">${record.pagePath}</a></td>
+            <td>${sideCell(record.staging, record.errors.staging)}</td>
+            <td>${sideCell(record.prod, record.errors.prod)}</td>
+            <td>${
+              !record.delta
+                ? htmlTemplate`<span class="warn">Unknown: prod could not be audited</span>`
+                : record.delta.introduced.length > 0
+                ? htmlTemplate`<ul>${renderViolations(
+                    record.delta.introduced
+                  )}</ul>`
+                : htmlTemplate`<span class="pass">None</span>`
+            }${
+              record.delta && record.delta.existing.length > 0
+                ? htmlTemplate`<details><summary>${
+                    record.delta.existing.length
+                  } also on prod</summary><ul>${renderViolations(
+                    record.delta.existing
+                  )}</ul></details>`
+                : ""
+            }</td>
+            <td>${
+              record.delta && record.delta.fixed.length > 0
+                ? htmlTemplate`<details><summary>${
+                    record.delta.fixed.length
+                  } fixed</summary><ul>${renderViolations(
+                    record.delta.fixed
+                  )}</ul></details>`
+                : htmlTemplate`&mdash;`
+            }</td>
+          </tr>`
+          )}
+        </tbody>
+      </table>
+  `;
+}
+
+// Metadata section of the index page: only pages whose metadata differs
+// from prod, is flagged or could not be read are listed
+function renderMetadataSection(metadata) {
+  if (!metadata) return "";
+  const { summary } = metadata;
+  const listed = metadata.pages.filter(
+    (record) =>
+      record.error || record.issues.length > 0 || record.differences.length > 0
+  );
+
+  return htmlTemplate`
+      <h2>SEO Metadata</h2>
+      <div class="summary">
+        <p>${summary.pages} pages compared: ${summary.flagged} flagged, ${
+    summary.changed
+  } with differences from prod, ${summary.errors} errors.</p>
+      </div>
+      ${
+        listed.length > 0
+          ? htmlTemplate`
+      <table class="metadata">
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Flagged</th>
+            <th>Field</th>
+            <th>Staging</th>
+            <th>Prod</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${listed.map((record) => {
+            const rows = record.error
+              ? [{ field: "Error", staging: record.error, prod: "" }]
+              : record.differences;
+            const span = Math.max(rows.length, 1);
+            const page = htmlTemplate`
+            <td rowspan="${span}"><a href="${record.urls.staging}">${
+              record.pagePath
+            }</a></td>
+            <td rowspan="${span}">${
+              record.issues.length > 0
+                ? htmlTemplate`<ul>${record.issues.map(
+                    (issue) => htmlTemplate`<li class="fail">${issue}</li>`
+                  )}</ul>`
+                : htmlTemplate`&mdash;`
+            }</td>`;
+
+            return rows.length === 0
+              ? htmlTemplate`<tr>${page}<td colspan="3">No differences</td></tr>`
+              : rows.map(
+                  (row, index) => htmlTemplate`
+          <tr>${index === 0 ? page : ""}
+            <td>${row.field}</td>
+            <td>${row.staging === null ? "(none)" : row.staging}</td>
+            <td>${row.prod === null ? "(none)" : row.prod}</td>
+          </tr>`
+                );
+          })}
+        </tbody>
+      </table>`
+          : ""
+      }
+  `;
+}
+
+// Generate the combined index page linking every device report, followed
+// by the accessibility audit and metadata comparison when they ran
+function generateIndexReport(run) {
+  const reportPath = "visual_comparison_report_index.html";
+  const now = new Date(run.generatedAt).toLocaleString();
+
+  const htmlContent = htmlTemplate`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Reports</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .warn { color: #b35c00; font-weight: bold; }
+        .run-config { text-align: center; color: #555; font-size: 14px; }
+        h2 { text-align: center; margin-top: 40px; }
+        .accessibility td { vertical-align: top; }
+        .accessibility td:nth-child(4), .accessibility td:nth-child(5) { text-align: left; }
+        .accessibility ul { margin: 0; padding-left: 18px; }
+        .accessibility code { font-size: 12px; word-break: break-all; }
+        .impact-critical { color: darkred; font-weight: bold; }
+        .impact-serious { color: red; font-weight: bold; }
+        .impact-moderate { color: orange; }
+        .impact-minor { color: #555; }
+        .metadata td { vertical-align: top; text-align: left; word-break: break-word; }
+        .metadata ul { margin: 0; padding-left: 18px; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Reports</h1>
+      <div class="summary">
+        <p>Devices Tested: ${run.devices.length}</p>
+        <p>Last Run: ${now}</p>
+        <p>Also available as <a href="visual_comparison_results.json">JSON</a>
+          and <a href="visual_comparison_results.xml">JUnit XML</a>.
+          See the <a href="visual_comparison_trend.html">trend across runs</a>.</p>
+      </div>
+      ${renderRunConfig(run)}
+      <table>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Pages</th>
+            <th>Passed</th>
+            <th>Failed</th>
+            <th>Errors</th>
+            <th>Missing</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${run.devices.map(
+            ({ name, summary }) => htmlTemplate`
+      <tr>
+        <td><a href="visual_comparison_report_${name}.html">${name}</a>${
+              config.report.bundle
+                ? htmlTemplate` (<a href="${bundlePathFor(
+                    name
+                  )}" download>bundle</a>)`
+                : ""
+            }</td>
+        <td>${summary.total}</td>
+        <td class="pass">${summary.pass}</td>
+        <td class="fail">${summary.fail}</td>
+        <td class="error">${summary.error}</td>
+        <td>${summary.missing}</td>
+      </tr>
+          `
+          )}
+        </tbody>
+      </table>
+      ${renderAccessibilitySection(run.accessibility)}
+      ${renderMetadataSection(run.metadata)}
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent.toString());
+}
+
+// Inline SVG sparkline of similarity over runs; failing runs are red dots
+function renderSparkline(series) {
+  const width = 160;
+  const height = 32;
+  const values = series
+    .map((point) => point.similarity)
+    .filter((v) => v !== null);
+  if (values.length === 0) return htmlTemplate`&mdash;`;
+
+  const floor = Math.min(90, ...values);
+  const x = (i) =>
+    (series.length === 1
+      ? width / 2
+      : (i / (series.length - 1)) * width
+    ).toFixed(1);
+  const y = (v) =>
+    (height - ((v - floor) / (100 - floor || 1)) * height).toFixed(1);
+
+  const line = series
+    .map((point, i) =>
+      point.similarity === null ? null : `${x(i)},${y(point.similarity)}`
+    )
+    .filter(Boolean)
+    .join(" ");
+  const dots = series.map((point, i) =>
+    point.similarity === null
+      ? ""
+      : htmlTemplate`<circle cx="${x(i)}" cy="${y(
+          point.similarity
+        )}" r="2" fill="${
+          point.status === "fail" ? "red" : "green"
+        }"><title>${new Date(point.generatedAt).toLocaleString()}: ${
+          point.similarity
+        }%</title></circle>`
+  );
+
+  return htmlTemplate`<svg width="${width}" height="${height}" viewBox="-3 -3 ${
+    width + 6
+  } ${
+    height + 6
+  }"><polyline points="${line}" fill="none" stroke="#888"/>${dots}</svg>`;
+}
+
+// One device section of the trend page
+function renderTrendSection(deviceName, pages) {
+  // Failing and flaky pages first
+  const rank = (page) =>
+    (page.latest.status === "fail" ? 0 : 2) + (page.flaky ? 0 : 1);
+  const sorted = [...pages].sort((a, b) => rank(a) - rank(b));
+
+  return htmlTemplate`
+      <h2>Device: ${deviceName}</h2>
+      <p class="summary">Flaky pages: ${pages.filter((p) => p.flaky).length}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Similarity Over Time</th>
+            <th>Latest</th>
+            <th>Failing Since</th>
+            <th>Pass/Fail Flips</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${sorted.map(
+            ({
+              pagePath,
+              series,
+              latest,
+              firstSeenFailing,
+              transitions,
+              flaky,
+            }) =>
+              htmlTemplate`
+          <tr>
+            <td>${
+              // Without its screenshots an archived report has no images
+              latest.keptScreenshots
+                ? htmlTemplate`<a href="${config.history.dir}/${latest.runId}/visual_comparison_report_${deviceName}.html">${pagePath}</a>`
+                : pagePath
+            }</td>
+            <td>${renderSparkline(series)}</td>
+            <td class="${latest.status}">${
+                latest.similarity !== null
+                  ? `${latest.similarity}%`
+                  : latest.status
+              }</td>
+            <td>${
+              firstSeenFailing
+                ? new Date(firstSeenFailing).toLocaleString()
+                : htmlTemplate`&mdash;`
+            }</td>
+            <td class="${flaky ? "flaky" : ""}">${transitions}${
+                flaky ? " (flaky)" : ""
+              }</td>
+          </tr>
+          `
+          )}
+        </tbody>
+      </table>
+  `;
+}
+
+// Generate the trend page: per-page similarity across archived runs,
+// first-seen-failing dates and flaky pages
+function generateTrendReport(index, trends) {
+  const reportPath = "visual_comparison_trend.html";
+  const latestRun = index.runs[index.runs.length - 1];
+
+  const htmlContent = htmlTemplate`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Trend</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .error { color: orange; font-weight: bold; }
+        .flaky { color: purple; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Trend</h1>
+      <div class="summary">
+        <p>Runs Recorded: ${index.runs.length}</p>
+        <p>Latest Run: ${
+          latestRun ? new Date(latestRun.generatedAt).toLocaleString() : "None"
+        }</p>
+        <p>
+          Pages link to their archived report only for runs that kept their
+          screenshots (history.keepScreenshots).
+        </p>
+      </div>
+      ${Object.entries(trends).map(([deviceName, pages]) =>
+        renderTrendSection(deviceName, pages)
+      )}
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent.toString());
+}
+
+// Generate the link health page: every broken resource with its status,
+// redirect chain and the pages that reference it, then the working ones
+function generateLinkReport(linkRun) {
+  const reportPath = "link_health_report.html";
+  const now = new Date(linkRun.generatedAt).toLocaleString();
+
+  const renderLink = (link) => htmlTemplate`
+          <tr class="${link.ok ? "" : "row-broken"}">
+            <td class="url"><a href="${link.url}" target="_blank">${
+    link.url
+  }</a></td>
+            <td>${link.kinds.join(", ")}</td>
+            <td class="${link.ok ? "pass" : "fail"}">${
+    link.status || link.error
+  }</td>
+            <td>${
+              link.redirects.length > 0
+                ? link.redirects.map(
+                    (hop) => htmlTemplate`${hop.status} ${hop.url}<br>`
+                  )
+                : ""
+            }${
+    link.redirects.length > 0 ? link.finalUrl : htmlTemplate`&mdash;`
+  }</td>
+            <td class="pages">${link.referencedBy
+              .slice(0, 10)
+              .map((pagePath) => htmlTemplate`${pagePath}<br>`)}${
+    link.referencedBy.length > 10
+      ? `and ${link.referencedBy.length - 10} more`
+      : ""
+  }</td>
+          </tr>
+  `;
+
+  const htmlContent = htmlTemplate`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Link Health Report</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        td.url, td.pages { text-align: left; font-family: monospace; font-size: 13px; word-break: break-all; }
+        .pass { color: green; font-weight: bold; }
+        .fail { color: red; font-weight: bold; }
+        .row-broken { background-color: #fdecea; }
+      </style>
+    </head>
+    <body>
+      <h1>Link Health Report</h1>
+      <div class="summary">
+        <p>Environment: <a href="${linkRun.environment}" target="_blank">${
+    linkRun.environment
+  }</a></p>
+        <p>Pages Scanned: ${linkRun.pagesScanned}</p>
+        <p>Resources Checked: ${linkRun.summary.total}</p>
+        <p class="fail">Broken: ${linkRun.summary.broken}</p>
+        <p>Last Run: ${now}</p>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>URL</th>
+            <th>Type</th>
+            <th>Status</th>
+            <th>Redirect Chain</th>
+            <th>Referenced By</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${linkRun.links.map(renderLink)}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent.toString());
+}
+
+// Generate the program coverage matrix for one form: every program code in
+// its dropdown, the program pages expected to use it and, when submissions
+// ran, where each one ended up
+function generateProgramCoverageReport(coverage) {
+  const reportPath = `program_coverage_${coverage.formId}.html`;
+  const now = new Date(coverage.generatedAt).toLocaleString();
+  const pageClass = { preselected: "pass", offered: "warn" };
+
+  const renderPages = (checks) =>
+    checks.length > 0
+      ? checks.map(
+          (check) =>
+            htmlTemplate`<div class="${pageClass[check.status] || "fail"}">${
+              check.pagePath
+            }: ${check.status}${
+              check.status === "offered" && check.selected
+                ? ` (preselects ${check.selected})`
+                : ""
+            }${check.error ? `: ${check.error}` : ""}</div>`
+        )
+      : htmlTemplate`&mdash;`;
+
+  const renderSubmission = (submission) =>
+    submission
+      ? htmlTemplate`<span class="${submission.status}">${
+          submission.status
+        }</span><div class="detail">${
+          submission.error ||
+          (submission.dryRun ? "payload only" : submission.url)
+        }</div>`
+      : htmlTemplate`Not submitted`;
+
+  const htmlContent = htmlTemplate`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Program Coverage - ${coverage.formName}</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.5; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin: 20px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; }
+        th { background-color: #f2f2f2; }
+        .pass { color: green; font-weight: bold; }
+        .warn { color: #b35c00; font-weight: bold; }
+        .fail, .error { color: red; font-weight: bold; }
+        .detail { font-family: monospace; font-size: 12px; word-break: break-all; }
+      </style>
+    </head>
+    <body>
+      <h1>Program Coverage</h1>
+      <h2>${coverage.formName}</h2>
+      <div class="summary">
+        <p>Environment: ${coverage.environment}</p>
+        <p>Programs Listed: ${coverage.rows.length}</p>
+        <p>
+          Program Pages Checked: ${coverage.mappedPages}${
+    coverage.unmappedPages.length > 0
+      ? ` (${coverage.unmappedPages.length} program pages unmapped)`
+      : ""
+  }
+        </p>
+        <p>
+          Submissions:
+          ${
+            coverage.submitted
+              ? coverage.live
+                ? "one per program (live), each checked against its program's confirmation"
+                : "one per program (dry run). Dry-run submissions never reach the server: only the posted payload is checked, not the confirmation the program leads to."
+              : "off"
+          }
+        </p>
+        <p>Last Run: ${now}</p>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Program Code</th>
+            <th>Program</th>
+            <th>Program Pages</th>
+            <th>Submission</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${coverage.rows.map(
+            (row) => htmlTemplate`
+          <tr>
+            <td class="detail">${row.code}</td>
+            <td>${row.label}</td>
+            <td>${renderPages(row.pages)}</td>
+            <td>${renderSubmission(row.submission)}</td>
+          </tr>
+          `
+          )}
+        </tbody>
+      </table>
+      ${
+        coverage.unmatchedPages.length > 0
+          ? htmlTemplate`
+      <h2>Program Pages With Unlisted Codes</h2>
+      <table>
+        <thead>
+          <tr><th>Page</th><th>Expected Code</th><th>Preselected</th></tr>
+        </thead>
+        <tbody>
+          ${coverage.unmatchedPages.map(
+            (check) => htmlTemplate`
+          <tr>
+            <td>${check.pagePath}</td>
+            <td class="detail">${check.expectedCode}</td>
+            <td class="detail">${check.selected || check.error || ""}</td>
+          </tr>
+          `
+          )}
+        </tbody>
+      </table>
+          `
+          : ""
+      }
+      ${
+        coverage.unmappedPages.length > 0
+          ? htmlTemplate`
+      <h2>Unmapped Program Pages</h2>
+      <p class="summary">
+        Program pages in config.js with no code in the form spec's
+        <code>programCoverage.pages</code>. They are not checked.
+      </p>
+      <ul>
+        ${coverage.unmappedPages.map(
+          (pagePath) => htmlTemplate`<li>${pagePath}</li>`
+        )}
+      </ul>
+          `
+          : ""
+      }
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent.toString());
+}
+
+module.exports = {
+  bundlePathFor,
+  generateLinkReport,
+  generateProgramCoverageReport,
+  generateHtmlReport,
+  generateIndexReport,
+  generateTrendReport,
+};
@@ -0,0 +1,72 @@
+const { globToRegExp } = require("./thresholds.js");
+
+// Whether a URL (and its resource type) matches one allow/deny/block rule
+function matchesRule(rule, url, resourceType) {
+  if (!rule) return false;
+
+  let host = "";
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    // Not a URL; only patterns and types can match
+  }
+
+  return (
+    (rule.domains || []).some(
+      (domain) => host === domain || host.endsWith(`.${domain}`)
+    ) ||
+    (rule.patterns || []).some((pattern) => globToRegExp(pattern).test(url)) ||
+    (!!resourceType && (rule.resourceTypes || []).includes(resourceType))
+  );
+}
+
+// Denied resources are left out of the link check and network failures
+function isExcludedResource(resourceConfig, url, resourceType) {
+  return (
+    matchesRule(resourceConfig.deny, url, resourceType) &&
+    !matchesRule(resourceConfig.allow, url, resourceType)
+  );
+}
+
+// Blocked resources are aborted while screenshots are captured
+function isBlockedResource(resourceConfig, url, resourceType) {
+  return (
+    !!resourceConfig.block &&
+    resourceConfig.block.enabled &&
+    matchesRule(resourceConfig.block, url, resourceType) &&
+    !matchesRule(resourceConfig.allow, url, resourceType)
+  );
+}
+
+// Whether a failed request is expected, and so not worth reporting: it was
+// denied, or it was blocked on purpose
+function isIgnoredFailure(resourceConfig, url, resourceType) {
+  return (
+    isExcludedResource(resourceConfig, url, resourceType) ||
+    isBlockedResource(resourceConfig, url, resourceType)
+  );
+}
+
+// Abort blocked requests for every page of a browser context
+async function blockResources(context, resourceConfig) {
+  if (!resourceConfig.block || !resourceConfig.block.enabled) return;
+
+  await context.route("**/*", (route) => {
+    const request = route.request();
+    return isBlockedResource(
+      resourceConfig,
+      request.url(),
+      request.resourceType()
+    )
+      ? route.abort("blockedbyclient")
+      : route.fallback();
+  });
+}
+
+module.exports = {
+  matchesRule,
+  isExcludedResource,
+  isBlockedResource,
+  isIgnoredFailure,
+  blockResources,
+};
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+// Per-page result records, one JSON file per page and device
+const RESULTS_DIR = "visual-results";
+
+// Merged results of a whole run; the HTML and JUnit reports render from this
+const RUN_RESULTS_PATH = "visual_comparison_results.json";
+
+// Turn a page path into the file-name stem used for screenshots and records
+function sanitizePagePath(pagePath) {
+  return pagePath.replace(/\//g, "_");
+}
+
+// Per-page record store: one JSON file per page in `dir`, named after the
+// record's pagePath. The visual, accessibility and metadata checks each keep
+// their own directory.
+
+// Remove a store's records left over from a previous run
+function clearPageRecords(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Write the record of a single page
+function writePageRecord(dir, record) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, `${sanitizePagePath(record.pagePath)}.json`),
+    JSON.stringify(record, null, 2)
+  );
+}
+
+// Read every record of a store, sorted by page path
+function readPageRecords(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")))
+    .sort((a, b) => a.pagePath.localeCompare(b.pagePath));
+}
+
+// Remove records left over from a previous run
+function clearResults() {
+  clearPageRecords(RESULTS_DIR);
+}
+
+// Write the result of a single page comparison
+function writeResult(deviceName, result) {
+  writePageRecord(path.join(RESULTS_DIR, deviceName), result);
+}
+
+// Read every record for a device
+function readResults(deviceName) {
+  return readPageRecords(path.join(RESULTS_DIR, deviceName));
+}
+
+// List the devices that have at least one record
+function listResultDevices() {
+  if (!fs.existsSync(RESULTS_DIR)) return [];
+
+  return fs
+    .readdirSync(RESULTS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+// Count results by status
+function summarizeResults(results) {
+  const summary = {
+    total: results.length,
+    pass: 0,
+    fail: 0,
+    error: 0,
+    missing: 0,
+  };
+  results.forEach((result) => {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  });
+  return summary;
+}
+
+// Short hash of the checked-out commit, or null outside a git checkout
+function gitCommit() {
+  try {
+    return execSync("git rev-parse --short HEAD", {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Merge every per-page record into one run document
+function buildRunResults(config) {
+  const devices = listResultDevices().map((name) => {
+    const results = readResults(name);
+    return { name, summary: summarizeResults(results), results };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    mode: config.mode,
+    environments: {
+      staging: config.staging.baseUrl,
+      prod: config.prod.baseUrl,
+    },
+    config: {
+      devices: devices.map(({ name }) => name),
+      thresholds: config.thresholds,
+      urlCount: new Set(
+        devices.flatMap(({ results }) => results.map((r) => r.pagePath))
+      ).size,
+      gitCommit: gitCommit(),
+    },
+    devices,
+  };
+}
+
+// Write the run document and read it back, so every report renders from
+// exactly what is on disk
+function writeRunResults(run) {
+  fs.writeFileSync(RUN_RESULTS_PATH, JSON.stringify(run, null, 2));
+  return JSON.parse(fs.readFileSync(RUN_RESULTS_PATH, "utf8"));
+}
+
+module.exports = {
+  RESULTS_DIR,
+  RUN_RESULTS_PATH,
+  sanitizePagePath,
+  clearPageRecords,
+  writePageRecord,
+  readPageRecords,
+  clearResults,
+  writeResult,
+  readResults,
+  listResultDevices,
+  summarizeResults,
+  buildRunResults,
+  writeRunResults,
+};
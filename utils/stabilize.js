@@ -0,0 +1,122 @@
+// Stops CSS animations and transitions and hides the text caret
+const FREEZE_CSS = `
+*, *::before, *::after {
+  animation: none !important;
+  transition: none !important;
+  caret-color: transparent !important;
+  scroll-behavior: auto !important;
+}
+`;
+
+// Wait for every web font to load; a font that never arrives shouldn't
+// fail the capture
+async function waitForFonts(page, timeout) {
+  await page
+    .evaluate(
+      (ms) =>
+        Promise.race([
+          document.fonts.ready.then(() => {}),
+          new Promise((resolve) => setTimeout(resolve, ms)),
+        ]),
+      timeout
+    )
+    .catch(() => {});
+}
+
+// Wait for the images the scroll brought in to finish loading and decoding
+async function waitForImages(page, timeout) {
+  await page
+    .evaluate(
+      (ms) =>
+        Promise.race([
+          Promise.all(
+            [...document.images]
+              .filter((image) => image.currentSrc || image.src)
+              .map((image) =>
+                image.complete
+                  ? image.decode().catch(() => {})
+                  : new Promise((resolve) => {
+                      image.addEventListener("load", resolve, { once: true });
+                      image.addEventListener("error", resolve, { once: true });
+                    })
+              )
+          ),
+          new Promise((resolve) => setTimeout(resolve, ms)),
+        ]),
+      timeout
+    )
+    .catch(() => {});
+}
+
+// Pause videos and audio at their first frame and stop Swiper (Elementor
+// sliders) and Slick carousels on their first slide
+async function pauseMedia(page) {
+  await page.evaluate(() => {
+    document.querySelectorAll("video, audio").forEach((media) => {
+      media.pause();
+      media.currentTime = 0;
+    });
+
+    document.querySelectorAll(".swiper, .swiper-container").forEach((el) => {
+      const { swiper } = el;
+      if (!swiper) return;
+      if (swiper.autoplay) swiper.autoplay.stop();
+      if (swiper.params && swiper.params.loop) {
+        swiper.slideToLoop(0, 0);
+      } else {
+        swiper.slideTo(0, 0);
+      }
+    });
+
+    if (window.jQuery && window.jQuery.fn.slick) {
+      window
+        .jQuery(".slick-initialized")
+        .slick("slickPause")
+        .slick("slickGoTo", 0, true);
+    }
+  });
+}
+
+// Bring the loaded (and already scrolled) page to a stable state for its
+// screenshot, per the resolved `options`: images decoded, CSS animations,
+// transitions and the caret frozen, media and carousels paused on their
+// first frame, and web fonts loaded
+async function stabilizePage(page, options) {
+  if (options.waitForImages) {
+    await waitForImages(page, options.timeout);
+  }
+  if (options.disableAnimations) {
+    await page.addStyleTag({ content: FREEZE_CSS });
+  }
+  if (options.pauseMedia) {
+    await pauseMedia(page);
+  }
+  // Last, so it covers fonts the changes above bring in
+  if (options.waitForFonts) {
+    await waitForFonts(page, options.timeout);
+  }
+}
+
+// Take screenshots `interval` ms apart until two consecutive ones are
+// identical, at most `attempts` times. Returns the last screenshot and
+// whether the page settled.
+async function captureStableScreenshot(page, screenshotOptions, options) {
+  let previous = await page.screenshot(screenshotOptions);
+
+  for (let attempt = 2; attempt <= options.attempts; attempt++) {
+    await page.waitForTimeout(options.interval);
+    const current = await page.screenshot(screenshotOptions);
+    if (current.equals(previous)) {
+      return { buffer: current, stable: true, attempts: attempt };
+    }
+    previous = current;
+  }
+
+  return { buffer: previous, stable: false, attempts: options.attempts };
+}
+
+module.exports = {
+  FREEZE_CSS,
+  stabilizePage,
+  captureStableScreenshot,
+};
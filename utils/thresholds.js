@@ -0,0 +1,65 @@
+// Convert a URL glob such as "/articles/*" to a RegExp. `*` matches any run
+// of characters, including "/", so "/articles/*" also covers pagination.
+function globToRegExp(glob) {
+  const escaped = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+// Pick the first override of a { default, overrides } config section whose
+// glob pattern matches the page path, layered over the defaults. `rule`
+// names the pattern that applied, or "default".
+function resolveOverride(sectionConfig, pagePath) {
+  const override = (sectionConfig.overrides || []).find((rule) =>
+    globToRegExp(rule.pattern).test(pagePath)
+  );
+
+  return {
+    rule: override ? override.pattern : "default",
+    ...sectionConfig.default,
+    ...(override
+      ? Object.fromEntries(
+          Object.entries(override).filter(([key]) => key !== "pattern")
+        )
+      : {}),
+  };
+}
+
+// The pixel threshold and minimum similarity that apply to a page
+function resolveThreshold(thresholdConfig, pagePath) {
+  return resolveOverride(thresholdConfig, pagePath);
+}
+
+// A result passes when it has a numeric similarity at or above its rule's
+// minimum; errors and missing pages never pass
+function isPassing(result, thresholdConfig) {
+  const minSimilarity = result.threshold
+    ? result.threshold.minSimilarity
+    : thresholdConfig.default.minSimilarity;
+
+  return (
+    typeof result.similarityPercentage === "number" &&
+    result.similarityPercentage >= minSimilarity
+  );
+}
+
+// Classify a result as "pass", "fail", "error" or "missing" (the page, or
+// its baseline, exists on one side only)
+function resultStatus(result, thresholdConfig) {
+  if (typeof result.similarityPercentage === "number") {
+    return isPassing(result, thresholdConfig) ? "pass" : "fail";
+  }
+  return String(result.similarityPercentage).startsWith("Missing")
+    ? "missing"
+    : "error";
+}
+
+module.exports = {
+  globToRegExp,
+  resolveOverride,
+  resolveThreshold,
+  isPassing,
+  resultStatus,
+};